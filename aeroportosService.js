@@ -0,0 +1,186 @@
+// Referência de aeroportos e cidades (aeroportos.json)
+// Fonte única para converter o que o usuário digita (cidade, aeroporto ou código) em código IATA
+// e para o autocomplete do frontend. Não adivinha: texto desconhecido gera erro, que sugere os códigos mais próximos.
+
+const { aeroportos: AEROPORTOS, metros: METROS } = require('./aeroportos.json');
+
+// Remover acentos e padronizar para comparação
+function normalizarTexto(texto) {
+  return String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+const POR_CODIGO = new Map(AEROPORTOS.map(aeroporto => [aeroporto.iata, aeroporto]));
+
+// Nomes pelos quais cada aeroporto pode ser encontrado (cidade, nome e apelidos)
+const NOMES = AEROPORTOS.map(aeroporto => ({
+  aeroporto,
+  cidade: normalizarTexto(aeroporto.cidade),
+  nomes: [aeroporto.cidade, aeroporto.nome, ...aeroporto.apelidos].map(normalizarTexto)
+}));
+
+// Código de aeroporto ou de cidade com vários aeroportos (ex.: SAO)
+function codigoConhecido(codigo) {
+  const maiusculo = String(codigo || '').trim().toUpperCase();
+  return POR_CODIGO.has(maiusculo) || Boolean(METROS[maiusculo]);
+}
+
+// Código a usar para um conjunto de aeroportos que casaram com o texto
+// Um só aeroporto → o próprio código; vários da mesma cidade → código da cidade (metro)
+function codigoDoGrupo(aeroportos) {
+  if (aeroportos.length === 1) {
+    return aeroportos[0].iata;
+  }
+
+  const metros = new Set(aeroportos.map(a => a.metro));
+  if (metros.size === 1 && !metros.has(null)) {
+    return aeroportos[0].metro;
+  }
+
+  return null;
+}
+
+// Distância de edição (Levenshtein) entre dois textos
+function distancia(a, b) {
+  let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const atual = [i];
+    for (let j = 1; j <= b.length; j++) {
+      atual[j] = Math.min(anterior[j] + 1, atual[j - 1] + 1, anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    anterior = atual;
+  }
+  return anterior[b.length];
+}
+
+// Códigos conhecidos mais próximos do texto não reconhecido (erro de digitação, nome parcial)
+// Código de 3 letras: códigos a uma letra de distância; texto: cidades e nomes parecidos
+function sugerirCodigos(texto, limite = 3) {
+  const alvo = normalizarTexto(texto);
+  const candidatos = [
+    ...Object.entries(METROS).map(([iata, metro]) => ({ iata, rotulo: metro.cidade, nomes: [normalizarTexto(metro.cidade)] })),
+    // Aeroporto de cidade com vários aeroportos aparece pelo apelido (ex.: Guarulhos), os demais pela cidade
+    ...NOMES.map(({ aeroporto, nomes }) => ({
+      iata: aeroporto.iata,
+      rotulo: aeroporto.metro ? aeroporto.apelidos[0] || aeroporto.nome : aeroporto.cidade,
+      nomes
+    }))
+  ];
+
+  const ehCodigo = /^[a-z]{3}$/.test(alvo);
+  const tolerancia = ehCodigo ? 1 : Math.max(2, Math.floor(alvo.length / 3));
+  const pontuados = candidatos.map(candidato => {
+    const pontos = ehCodigo
+      ? distancia(alvo, candidato.iata.toLowerCase())
+      : Math.min(...candidato.nomes.map(nome => (nome.startsWith(alvo) ? 0 : distancia(alvo, nome))));
+    return { ...candidato, pontos };
+  });
+
+  const vistos = new Set();
+  return pontuados
+    .filter(candidato => candidato.pontos <= tolerancia)
+    .sort((a, b) => a.pontos - b.pontos)
+    .filter(candidato => !vistos.has(candidato.iata) && vistos.add(candidato.iata))
+    .slice(0, limite)
+    .map(({ iata, rotulo }) => `${rotulo} - ${iata}`);
+}
+
+// Converter cidade, nome de aeroporto ou código em código IATA
+// Aceita "GRU", "São Paulo", "sao paulo", "Guarulhos", "São Paulo - GRU"; lança erro se não reconhecer
+function resolverCodigo(texto) {
+  const original = String(texto || '').trim();
+  if (!original) {
+    throw new Error('Cidade ou aeroporto não informado');
+  }
+
+  if (/^[a-z]{3}$/i.test(original) && codigoConhecido(original)) {
+    return original.toUpperCase();
+  }
+
+  const alvo = normalizarTexto(original);
+  const porNome = NOMES.filter(n => n.nomes.includes(alvo)).map(n => n.aeroporto);
+  if (porNome.length > 0) {
+    const codigo = codigoDoGrupo(porNome);
+    if (!codigo) {
+      throw new Error(`Cidade ou aeroporto ambíguo: ${original} (${porNome.map(a => a.iata).join(', ')})`);
+    }
+    return codigo;
+  }
+
+  // Texto vindo do autocomplete, com o código junto do nome
+  const codigos = (original.match(/\b[A-Z]{3}\b/g) || []).filter(codigoConhecido);
+  if (codigos.length === 1) {
+    return codigos[0];
+  }
+
+  // A referência não tem todos os aeroportos do mundo: o erro sugere os códigos mais próximos
+  const sugestoes = sugerirCodigos(original);
+  const motivo = /^[a-z]{3}$/i.test(original)
+    ? `Código ${original.toUpperCase()} não está na referência de aeroportos`
+    : `Cidade ou aeroporto não encontrado: ${original}`;
+  const erro = new Error(sugestoes.length > 0 ? `${motivo}. Você quis dizer: ${sugestoes.join(', ')}?` : motivo);
+  erro.sugestoes = sugestoes;
+  throw erro;
+}
+
+// Dados de um aeroporto pelo código IATA
+function obterAeroporto(codigo) {
+  return POR_CODIGO.get(String(codigo || '').trim().toUpperCase());
+}
+
+// Aeroportos de um código (o próprio aeroporto ou todos os da cidade)
+function aeroportosDoCodigo(codigo) {
+  const maiusculo = String(codigo || '').trim().toUpperCase();
+  if (METROS[maiusculo]) {
+    return METROS[maiusculo].aeroportos.map(iata => POR_CODIGO.get(iata));
+  }
+  return POR_CODIGO.has(maiusculo) ? [POR_CODIGO.get(maiusculo)] : [];
+}
+
+// Autocomplete: cidades (com todos os aeroportos) e aeroportos que começam com o texto
+// Ordem: código exato, depois início do nome da cidade, depois início de qualquer nome
+function buscarAeroportos(termo, limite = 10) {
+  const alvo = normalizarTexto(termo);
+  if (alvo.length < 2) {
+    return [];
+  }
+
+  const codigo = alvo.toUpperCase();
+  const prioridade = (iata, cidade, nomes) => {
+    if (iata === codigo) return 0;
+    if (cidade.startsWith(alvo)) return 1;
+    if (nomes.some(nome => nome.startsWith(alvo) || nome.includes(` ${alvo}`))) return 2;
+    return null;
+  };
+
+  const cidades = Object.entries(METROS)
+    .map(([iata, metro]) => ({
+      item: { tipo: 'cidade', iata, cidade: metro.cidade, pais: metro.pais, aeroportos: metro.aeroportos },
+      prioridade: prioridade(iata, normalizarTexto(metro.cidade), [normalizarTexto(metro.cidade)])
+    }));
+
+  const aeroportos = NOMES.map(({ aeroporto, cidade, nomes }) => ({
+    item: { tipo: 'aeroporto', ...aeroporto },
+    prioridade: prioridade(aeroporto.iata, cidade, nomes)
+  }));
+
+  return [...cidades, ...aeroportos]
+    .filter(resultado => resultado.prioridade !== null)
+    .sort((a, b) => a.prioridade - b.prioridade)
+    .slice(0, limite)
+    .map(resultado => resultado.item);
+}
+
+module.exports = {
+  AEROPORTOS,
+  METROS,
+  resolverCodigo,
+  sugerirCodigos,
+  obterAeroporto,
+  aeroportosDoCodigo,
+  buscarAeroportos
+};
@@ -0,0 +1,195 @@
+// Política de roteamento de aprovações
+// Define, a partir dos dados da solicitação (valor, destino, urgência, departamento, projeto),
+// qual cadeia de aprovadores ela deve seguir. A política fica armazenada em data.json
+// e pode ser editada pela administração.
+
+// Perfis que podem aparecer como aprovadores em uma etapa
+const PAPEIS_APROVADORES = ['gestor', 'gerente', 'diretor'];
+
+// Política padrão (equivalente aos limites de R$ 2000 / R$ 5000 usados até então)
+// - regras: avaliadas em ordem, a primeira que casar define a cadeia
+// - etapasPadrao: cadeia usada quando nenhuma regra casar (ex.: criação, sem valor cotado)
+// - etapas são sequenciais; os papéis de uma mesma etapa aprovam em paralelo (todos precisam aprovar)
+// - toleranciaPrecoPercentual: quanto o preço reconfirmado na API pode exceder o cotado/aprovado
+const POLITICA_PADRAO = {
+  versao: 1,
+  toleranciaPrecoPercentual: 5,
+  regras: [
+    {
+      id: 'acima-5000',
+      descricao: 'Acima de R$ 5000 → Diretor',
+      condicoes: { valorAcimaDe: 5000 },
+      etapas: [{ papeis: ['diretor'] }]
+    },
+    {
+      id: 'acima-2000',
+      descricao: 'Acima de R$ 2000 → Gerente',
+      condicoes: { valorAcimaDe: 2000 },
+      etapas: [{ papeis: ['gerente'] }]
+    },
+    {
+      id: 'ate-2000',
+      descricao: 'Até R$ 2000 → Gestor',
+      condicoes: { valorAte: 2000 },
+      etapas: [{ papeis: ['gestor'] }]
+    }
+  ],
+  etapasPadrao: [{ papeis: ['gerente'] }, { papeis: ['diretor'] }]
+};
+
+// Remover acentos e padronizar para comparação
+function normalizarTexto(texto) {
+  return String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+}
+
+// Extrair da solicitação os dados usados pelas regras
+function contextoDaSolicitacao(solicitacao, valor) {
+  const paisOrigem = normalizarTexto(solicitacao.paisOrigem || 'Brasil');
+  const paisDestino = normalizarTexto(solicitacao.paisDestino || 'Brasil');
+  const urgencia = normalizarTexto(solicitacao.urgencia);
+
+  return {
+    valor: valor === undefined || valor === null || valor === '' ? null : parseFloat(valor),
+    internacional: paisOrigem !== paisDestino || paisDestino !== 'brasil',
+    urgente: urgencia === 'sim' || urgencia === 'true',
+    departamento: solicitacao.departamento || null,
+    projeto: solicitacao.projeto || null
+  };
+}
+
+// Verificar se o contexto atende todas as condições da regra
+function regraCasa(regra, contexto) {
+  const condicoes = regra.condicoes || {};
+
+  if (condicoes.valorAcimaDe !== undefined && !(contexto.valor !== null && contexto.valor > condicoes.valorAcimaDe)) {
+    return false;
+  }
+  if (condicoes.valorAte !== undefined && !(contexto.valor !== null && contexto.valor <= condicoes.valorAte)) {
+    return false;
+  }
+  if (condicoes.internacional !== undefined && contexto.internacional !== condicoes.internacional) {
+    return false;
+  }
+  if (condicoes.urgente !== undefined && contexto.urgente !== condicoes.urgente) {
+    return false;
+  }
+  if (condicoes.departamentos?.length &&
+      !condicoes.departamentos.some(d => normalizarTexto(d) === normalizarTexto(contexto.departamento))) {
+    return false;
+  }
+  if (condicoes.projetos?.length &&
+      !condicoes.projetos.some(p => normalizarTexto(p) === normalizarTexto(contexto.projeto))) {
+    return false;
+  }
+
+  return true;
+}
+
+// Montar a cadeia de aprovação de uma solicitação
+// valor: valor da cotação selecionada (ou estimado); null quando ainda não há cotação
+function montarCadeia(politica, solicitacao, valor) {
+  const contexto = contextoDaSolicitacao(solicitacao, valor);
+  const regra = (politica.regras || []).find(r => regraCasa(r, contexto));
+  const etapas = regra ? regra.etapas : (politica.etapasPadrao || []);
+
+  return {
+    politicaVersao: politica.versao,
+    regraId: regra ? regra.id : null,
+    regraDescricao: regra ? regra.descricao : 'Cadeia padrão',
+    contexto,
+    etapas: etapas.map(etapa => ({ papeis: [...etapa.papeis] }))
+  };
+}
+
+// Validar etapas de uma regra
+function validarEtapas(etapas, prefixo, erros) {
+  if (!Array.isArray(etapas)) {
+    erros.push(`${prefixo}: etapas deve ser uma lista`);
+    return;
+  }
+
+  etapas.forEach((etapa, i) => {
+    if (!etapa || !Array.isArray(etapa.papeis) || etapa.papeis.length === 0) {
+      erros.push(`${prefixo}, etapa ${i + 1}: informe ao menos um papel aprovador`);
+      return;
+    }
+    etapa.papeis
+      .filter(papel => !PAPEIS_APROVADORES.includes(papel))
+      .forEach(papel => erros.push(`${prefixo}, etapa ${i + 1}: papel inválido "${papel}"`));
+  });
+}
+
+// Validar política antes de salvar
+function validarPolitica(politica) {
+  const erros = [];
+
+  if (!politica || typeof politica !== 'object') {
+    return { valida: false, erros: ['Política inválida'] };
+  }
+
+  if (!Array.isArray(politica.regras)) {
+    erros.push('regras deve ser uma lista');
+  } else {
+    const ids = new Set();
+    politica.regras.forEach((regra, i) => {
+      const prefixo = `Regra ${regra?.id || i + 1}`;
+      if (!regra || !regra.id) {
+        erros.push(`Regra ${i + 1}: id é obrigatório`);
+      } else if (ids.has(regra.id)) {
+        erros.push(`${prefixo}: id duplicado`);
+      } else {
+        ids.add(regra.id);
+      }
+
+      const condicoes = regra?.condicoes || {};
+      ['valorAcimaDe', 'valorAte'].forEach(campo => {
+        if (condicoes[campo] !== undefined && (typeof condicoes[campo] !== 'number' || condicoes[campo] < 0)) {
+          erros.push(`${prefixo}: ${campo} deve ser um número positivo`);
+        }
+      });
+      ['internacional', 'urgente'].forEach(campo => {
+        if (condicoes[campo] !== undefined && typeof condicoes[campo] !== 'boolean') {
+          erros.push(`${prefixo}: ${campo} deve ser true ou false`);
+        }
+      });
+      ['departamentos', 'projetos'].forEach(campo => {
+        if (condicoes[campo] !== undefined && !Array.isArray(condicoes[campo])) {
+          erros.push(`${prefixo}: ${campo} deve ser uma lista`);
+        }
+      });
+
+      validarEtapas(regra?.etapas, prefixo, erros);
+    });
+  }
+
+  validarEtapas(politica.etapasPadrao, 'Cadeia padrão', erros);
+
+  const tolerancia = politica.toleranciaPrecoPercentual;
+  if (tolerancia !== undefined && (typeof tolerancia !== 'number' || tolerancia < 0 || tolerancia > 100)) {
+    erros.push('toleranciaPrecoPercentual deve ser um número entre 0 e 100');
+  }
+
+  return {
+    valida: erros.length === 0,
+    erros
+  };
+}
+
+// Tolerância de preço da política (a padrão quando a política gravada não define)
+function toleranciaDePreco(politica) {
+  const tolerancia = politica?.toleranciaPrecoPercentual;
+  return typeof tolerancia === 'number' ? tolerancia : POLITICA_PADRAO.toleranciaPrecoPercentual;
+}
+
+module.exports = {
+  POLITICA_PADRAO,
+  PAPEIS_APROVADORES,
+  contextoDaSolicitacao,
+  montarCadeia,
+  validarPolitica,
+  toleranciaDePreco
+};
@@ -1,9 +1,20 @@
 const bcrypt = require('bcrypt');
-const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
+const { usuarios, sessoes } = require('./storage');
 
-const DATA_FILE = path.join(__dirname, 'data.json');
+// Configuração dos tokens de sessão
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTOS) || 15; // minutos
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL_DIAS) || 7; // dias
+
+// Perfis de usuário aceitos
+const VALID_ROLES = ['colaborador', 'gestor', 'gerente', 'diretor', 'compras'];
+
+if (!process.env.JWT_SECRET) {
+  console.warn('[Auth] JWT_SECRET não configurado - usando segredo temporário (sessões serão perdidas ao reiniciar)');
+}
 
 // Hash de senha
 async function hashPassword(password) {
@@ -16,22 +27,10 @@ async function comparePassword(password, hash) {
   return await bcrypt.compare(password, hash);
 }
 
-// Ler dados
-async function readData() {
-  const data = await fs.readFile(DATA_FILE, 'utf8');
-  return JSON.parse(data);
-}
-
-// Escrever dados
-async function writeData(data) {
-  await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2));
-}
-
 // Autenticar usuário
 async function authenticateUser(email, password) {
   try {
-    const data = await readData();
-    const user = data.users.find(u => u.email.toLowerCase() === email.toLowerCase());
+    const user = await usuarios.buscarPorEmail(email);
     
     if (!user) {
       return { success: false, message: 'Email ou senha incorretos' };
@@ -41,18 +40,14 @@ async function authenticateUser(email, password) {
     if (!user.passwordHash) {
       if (user.password === password) {
         // Migrar senha para hash
-        user.passwordHash = await hashPassword(password);
-        delete user.password;
-        await writeData(data);
-        return { 
-          success: true, 
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role
+        const passwordHash = await hashPassword(password);
+        await usuarios.atualizar(user.id, atual => {
+          if (atual && !atual.passwordHash) {
+            atual.passwordHash = passwordHash;
+            delete atual.password;
           }
-        };
+        });
+        return await createSession(user);
       }
       return { success: false, message: 'Email ou senha incorretos' };
     }
@@ -61,15 +56,7 @@ async function authenticateUser(email, password) {
     const isValid = await comparePassword(password, user.passwordHash);
     
     if (isValid) {
-      return { 
-        success: true, 
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        }
-      };
+      return await createSession(user);
     }
 
     return { success: false, message: 'Email ou senha incorretos' };
@@ -79,6 +66,139 @@ async function authenticateUser(email, password) {
   }
 }
 
+// Dados públicos do usuário (sem senha)
+function publicUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role
+  };
+}
+
+// Hash do segredo do refresh token (nunca armazenar o token em texto puro)
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Assinar access token vinculado a uma sessão
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { sub: user.id, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL * 60 }
+  );
+}
+
+// Criar sessão: access token assinado + refresh token revogável
+async function createSession(user) {
+  const agora = Date.now();
+  const secret = crypto.randomBytes(32).toString('hex');
+  const session = {
+    id: uuidv4(),
+    userId: user.id,
+    refreshTokenHash: hashToken(secret),
+    createdAt: new Date(agora).toISOString(),
+    expiresAt: new Date(agora + REFRESH_TOKEN_TTL * 24 * 60 * 60 * 1000).toISOString(),
+    revokedAt: null
+  };
+
+  await sessoes.inserir(session);
+
+  return {
+    success: true,
+    user: publicUser(user),
+    accessToken: signAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL * 60
+  };
+}
+
+// Renovar sessão a partir do refresh token (o refresh token é rotacionado)
+async function refreshSession(refreshToken) {
+  try {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret) {
+      return { success: false, message: 'Refresh token inválido' };
+    }
+
+    // Verificação e rotação na mesma transação: o mesmo refresh token não pode ser usado duas vezes
+    return await sessoes.atualizar(sessionId, async session => {
+      if (!session || session.revokedAt || session.refreshTokenHash !== hashToken(secret)) {
+        return { success: false, message: 'Refresh token inválido' };
+      }
+
+      if (new Date(session.expiresAt).getTime() <= Date.now()) {
+        return { success: false, message: 'Sessão expirada. Faça login novamente' };
+      }
+
+      const user = await usuarios.buscarPorId(session.userId);
+      if (!user) {
+        return { success: false, message: 'Usuário não encontrado' };
+      }
+
+      const newSecret = crypto.randomBytes(32).toString('hex');
+      session.refreshTokenHash = hashToken(newSecret);
+      session.refreshedAt = new Date().toISOString();
+
+      return {
+        success: true,
+        user: publicUser(user),
+        accessToken: signAccessToken(user, session.id),
+        refreshToken: `${session.id}.${newSecret}`,
+        expiresIn: ACCESS_TOKEN_TTL * 60
+      };
+    });
+  } catch (error) {
+    console.error('Erro ao renovar sessão:', error);
+    return { success: false, message: 'Erro ao renovar sessão' };
+  }
+}
+
+// Revogar sessão (logout)
+async function revokeSession(sessionId) {
+  try {
+    return await sessoes.atualizar(sessionId, session => {
+      if (!session) {
+        return { success: false, message: 'Sessão não encontrada' };
+      }
+
+      if (!session.revokedAt) {
+        session.revokedAt = new Date().toISOString();
+      }
+
+      return { success: true };
+    });
+  } catch (error) {
+    console.error('Erro ao revogar sessão:', error);
+    return { success: false, message: 'Erro ao encerrar sessão' };
+  }
+}
+
+// Validar access token e resolver o usuário atual
+async function verifyAccessToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido';
+    return { success: false, message };
+  }
+
+  const session = await sessoes.buscarPorId(payload.sid);
+  if (!session || session.revokedAt) {
+    return { success: false, message: 'Sessão encerrada' };
+  }
+
+  // Buscar usuário atualizado (role pode ter mudado desde a emissão do token)
+  const user = await usuarios.buscarPorId(payload.sub);
+  if (!user) {
+    return { success: false, message: 'Usuário não encontrado' };
+  }
+
+  return { success: true, user: { ...publicUser(user), sessionId: session.id } };
+}
+
 // Criar novo usuário
 async function createUser(userData) {
   try {
@@ -88,17 +208,8 @@ async function createUser(userData) {
       return { success: false, message: 'Todos os campos são obrigatórios' };
     }
 
-    const data = await readData();
-    
-    // Verificar se email já existe
-    const existingUser = data.users.find(u => u.email.toLowerCase() === email.toLowerCase());
-    if (existingUser) {
-      return { success: false, message: 'Email já cadastrado' };
-    }
-
     // Validar role
-    const validRoles = ['colaborador', 'gerente', 'diretor', 'compras'];
-    if (!validRoles.includes(role)) {
+    if (!VALID_ROLES.includes(role)) {
       return { success: false, message: 'Role inválido' };
     }
 
@@ -112,8 +223,10 @@ async function createUser(userData) {
       createdAt: new Date().toISOString()
     };
 
-    data.users.push(newUser);
-    await writeData(data);
+    // Verificar se email já existe (na mesma operação da inserção)
+    if (!(await usuarios.inserir(newUser))) {
+      return { success: false, message: 'Email já cadastrado' };
+    }
 
     return { 
       success: true, 
@@ -133,8 +246,8 @@ async function createUser(userData) {
 // Listar usuários (sem senhas)
 async function listUsers() {
   try {
-    const data = await readData();
-    return data.users.map(user => ({
+    const users = await usuarios.listar();
+    return users.map(user => ({
       id: user.id,
       name: user.name,
       email: user.email,
@@ -150,53 +263,48 @@ async function listUsers() {
 // Atualizar usuário
 async function updateUser(userId, updates) {
   try {
-    const data = await readData();
-    const userIndex = data.users.findIndex(u => u.id === userId);
-    
-    if (userIndex === -1) {
-      return { success: false, message: 'Usuário não encontrado' };
+    if (updates.role && !VALID_ROLES.includes(updates.role)) {
+      return { success: false, message: 'Role inválido' };
     }
 
-    const user = data.users[userIndex];
-
-    // Atualizar campos permitidos
-    if (updates.name) user.name = updates.name;
-    if (updates.email) {
-      // Verificar se email já existe em outro usuário
-      const emailExists = data.users.some(u => 
-        u.id !== userId && u.email.toLowerCase() === updates.email.toLowerCase()
-      );
-      if (emailExists) {
-        return { success: false, message: 'Email já cadastrado' };
-      }
-      user.email = updates.email.toLowerCase();
-    }
-    if (updates.role) {
-      const validRoles = ['colaborador', 'gerente', 'diretor', 'compras'];
-      if (!validRoles.includes(updates.role)) {
-        return { success: false, message: 'Role inválido' };
+    // Hash calculado fora da transação (bcrypt é lento)
+    const passwordHash = updates.password ? await hashPassword(updates.password) : null;
+
+    return await usuarios.atualizar(userId, async user => {
+      if (!user) {
+        return { success: false, message: 'Usuário não encontrado' };
       }
-      user.role = updates.role;
-    }
-    if (updates.password) {
-      user.passwordHash = await hashPassword(updates.password);
-      // Remover senha antiga se existir
-      if (user.password) delete user.password;
-    }
 
-    user.updatedAt = new Date().toISOString();
-    data.users[userIndex] = user;
-    await writeData(data);
+      // Verificar se email já existe em outro usuário (antes de alterar qualquer campo)
+      if (updates.email) {
+        const emailOwner = await usuarios.buscarPorEmail(updates.email);
+        if (emailOwner && emailOwner.id !== userId) {
+          return { success: false, message: 'Email já cadastrado' };
+        }
+      }
 
-    return { 
-      success: true, 
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role
+      // Atualizar campos permitidos
+      if (updates.name) user.name = updates.name;
+      if (updates.email) user.email = updates.email.toLowerCase();
+      if (updates.role) user.role = updates.role;
+      if (passwordHash) {
+        user.passwordHash = passwordHash;
+        // Remover senha antiga se existir
+        if (user.password) delete user.password;
       }
-    };
+
+      user.updatedAt = new Date().toISOString();
+
+      return { 
+        success: true, 
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        }
+      };
+    });
   } catch (error) {
     console.error('Erro ao atualizar usuário:', error);
     return { success: false, message: 'Erro ao atualizar usuário' };
@@ -206,15 +314,12 @@ async function updateUser(userId, updates) {
 // Deletar usuário
 async function deleteUser(userId) {
   try {
-    const data = await readData();
-    const userIndex = data.users.findIndex(u => u.id === userId);
-    
-    if (userIndex === -1) {
+    if (!(await usuarios.remover(userId))) {
       return { success: false, message: 'Usuário não encontrado' };
     }
 
-    data.users.splice(userIndex, 1);
-    await writeData(data);
+    // Encerrar sessões ativas do usuário removido
+    await sessoes.revogarDoUsuario(userId);
 
     return { success: true };
   } catch (error) {
@@ -226,19 +331,28 @@ async function deleteUser(userId) {
 // Migrar senhas antigas para hash (script de migração)
 async function migratePasswords() {
   try {
-    const data = await readData();
-    let migrated = 0;
-
-    for (const user of data.users) {
+    // Hashes calculados fora da transação (bcrypt é lento)
+    const hashes = {};
+    for (const user of await usuarios.listar()) {
       if (user.password && !user.passwordHash) {
-        user.passwordHash = await hashPassword(user.password);
-        delete user.password;
-        migrated++;
+        hashes[user.id] = { password: user.password, hash: await hashPassword(user.password) };
       }
     }
 
+    let migrated = 0;
+    for (const [userId, { password, hash }] of Object.entries(hashes)) {
+      const alterado = await usuarios.atualizar(userId, user => {
+        if (!user || user.password !== password || user.passwordHash) {
+          return false;
+        }
+        user.passwordHash = hash;
+        delete user.password;
+        return true;
+      });
+      if (alterado) migrated++;
+    }
+
     if (migrated > 0) {
-      await writeData(data);
       console.log(`✅ ${migrated} senha(s) migrada(s) para hash`);
     } else {
       console.log('✅ Todas as senhas já estão hasheadas');
@@ -258,8 +372,12 @@ module.exports = {
   updateUser,
   deleteUser,
   migratePasswords,
+  refreshSession,
+  revokeSession,
+  verifyAccessToken,
   hashPassword,
-  comparePassword
+  comparePassword,
+  VALID_ROLES
 };
 
 
@@ -0,0 +1,42 @@
+// Middlewares de autenticação e autorização
+// Resolve o usuário atual (req.user) a partir do header Authorization: Bearer <token>
+
+const { verifyAccessToken } = require('./auth');
+const { temPermissao } = require('./permissions');
+
+// Exigir access token válido
+async function requireAuth(req, res, next) {
+  const [tipo, token] = (req.headers.authorization || '').split(' ');
+
+  if (tipo !== 'Bearer' || !token) {
+    return res.status(401).json({ message: 'Autenticação necessária' });
+  }
+
+  try {
+    const result = await verifyAccessToken(token);
+    if (!result.success) {
+      return res.status(401).json({ message: result.message });
+    }
+
+    req.user = result.user;
+    next();
+  } catch (error) {
+    console.error('[Auth] Erro ao validar token:', error.message);
+    res.status(500).json({ message: 'Erro ao validar autenticação' });
+  }
+}
+
+// Exigir que o perfil do usuário autenticado tenha permissão para a ação
+function requirePermission(acao) {
+  return (req, res, next) => {
+    if (!req.user || !temPermissao(req.user.role, acao)) {
+      return res.status(403).json({ message: 'Acesso negado' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  requireAuth,
+  requirePermission
+};
@@ -0,0 +1,59 @@
+// Sessões de busca de voos
+// Cada busca feita por /api/voos/buscar fica guardada em memória por um tempo (BUSCA_TTL_MINUTOS),
+// para que Compras possa transformar os voos escolhidos em cotações sem redigitar os dados.
+// As sessões não são persistidas: reiniciar o servidor exige uma nova busca.
+
+const { v4: uuidv4 } = require('uuid');
+
+const BUSCA_TTL_MS = (parseInt(process.env.BUSCA_TTL_MINUTOS, 10) || 30) * 60 * 1000;
+
+const buscas = new Map();
+
+// Descartar buscas expiradas
+function limparExpiradas(agora = Date.now()) {
+  for (const [id, busca] of buscas) {
+    if (new Date(busca.expiraEm).getTime() <= agora) {
+      buscas.delete(id);
+    }
+  }
+}
+
+// Guardar o resultado de uma busca e retornar a sessão criada
+function registrarBusca(parametros, voos, estatisticas, usuario) {
+  limparExpiradas();
+
+  const agora = Date.now();
+  const busca = {
+    id: uuidv4(),
+    parametros,
+    voos,
+    estatisticas,
+    criadoPorId: usuario?.id || null,
+    criadoEm: new Date(agora).toISOString(),
+    expiraEm: new Date(agora + BUSCA_TTL_MS).toISOString()
+  };
+
+  buscas.set(busca.id, busca);
+  return busca;
+}
+
+// Obter uma busca ainda válida (undefined se não existir ou tiver expirado)
+function obterBusca(id) {
+  const busca = buscas.get(id);
+  if (!busca) {
+    return undefined;
+  }
+
+  if (new Date(busca.expiraEm).getTime() <= Date.now()) {
+    buscas.delete(id);
+    return undefined;
+  }
+
+  return busca;
+}
+
+module.exports = {
+  BUSCA_TTL_MS,
+  registrarBusca,
+  obterBusca
+};
@@ -0,0 +1,151 @@
+// Cache de resultados de busca de voos
+// Buscas iguais (mesma rota, datas, passageiros e filtros) dentro de CACHE_VOOS_TTL_MINUTOS reaproveitam
+// os voos já normalizados em vez de consultar todos os provedores de novo.
+// - CACHE_VOOS_TTL_MINUTOS=0 desliga o cache
+// - CACHE_VOOS_ARQUIVO (opcional): arquivo JSON onde o cache é gravado para sobreviver a reinícios
+//   (ex.: cache/voos.json; a pasta cache/ fica fora do git)
+
+const fs = require('fs');
+const path = require('path');
+const { criarFila } = require('./storage/fila');
+const { resolverCodigo } = require('./aeroportosService');
+const { normalizarPreferencias } = require('./filtrosVoos');
+
+const TTL_MINUTOS = parseInt(process.env.CACHE_VOOS_TTL_MINUTOS, 10);
+const CACHE_TTL_MS = (Number.isNaN(TTL_MINUTOS) ? 15 : TTL_MINUTOS) * 60 * 1000;
+const CACHE_ARQUIVO = process.env.CACHE_VOOS_ARQUIVO ? path.resolve(process.env.CACHE_VOOS_ARQUIVO) : null;
+
+const gravar = criarFila();
+let entradas = null;
+
+// Carregar o arquivo na primeira consulta (arquivo ausente ou inválido = cache vazio)
+function obterEntradas() {
+  if (entradas) {
+    return entradas;
+  }
+
+  entradas = new Map();
+  if (CACHE_ARQUIVO && fs.existsSync(CACHE_ARQUIVO)) {
+    try {
+      const salvas = JSON.parse(fs.readFileSync(CACHE_ARQUIVO, 'utf8'));
+      Object.entries(salvas).forEach(([chave, entrada]) => entradas.set(chave, entrada));
+      limparExpiradas();
+      console.log(`[CacheVoos] ${entradas.size} busca(s) carregada(s) de ${CACHE_ARQUIVO}`);
+    } catch (error) {
+      console.error('[CacheVoos] Erro ao carregar o cache, começando vazio:', error.message);
+    }
+  }
+  return entradas;
+}
+
+// Gravar o cache no arquivo (temporário + rename, uma gravação por vez)
+function persistir() {
+  if (!CACHE_ARQUIVO) {
+    return Promise.resolve();
+  }
+
+  const conteudo = JSON.stringify(Object.fromEntries(obterEntradas()));
+  return gravar(async () => {
+    const temporario = `${CACHE_ARQUIVO}.tmp`;
+    await fs.promises.mkdir(path.dirname(CACHE_ARQUIVO), { recursive: true });
+    await fs.promises.writeFile(temporario, conteudo);
+    await fs.promises.rename(temporario, CACHE_ARQUIVO);
+  }).catch(error => {
+    console.error('[CacheVoos] Erro ao gravar o cache:', error.message);
+  });
+}
+
+function limparExpiradas(agora = Date.now()) {
+  let removidas = 0;
+  for (const [chave, entrada] of obterEntradas()) {
+    if (new Date(entrada.expiraEm).getTime() <= agora) {
+      entradas.delete(chave);
+      removidas++;
+    }
+  }
+  return removidas;
+}
+
+// Chave da busca: códigos IATA resolvidos (São Paulo e SAO caem na mesma chave), datas e preferências
+function chaveDaBusca({ origem, destino, dataIda, dataVolta, preferencias }) {
+  const filtros = normalizarPreferencias(preferencias);
+  const { adultos, criancas, bebes } = filtros.passageiros;
+  return [
+    resolverCodigo(origem),
+    resolverCodigo(destino),
+    dataIda,
+    dataVolta || '-',
+    `${adultos}a${criancas}c${bebes}b`,
+    filtros.cabine || '-',
+    filtros.maxEscalas ?? '-',
+    [...filtros.companhiasPreferidas].sort().join(',') || '-',
+    [...filtros.companhiasExcluidas].sort().join(',') || '-',
+    filtros.precoMaximo ?? '-'
+  ].join('|');
+}
+
+function cacheHabilitado() {
+  return CACHE_TTL_MS > 0;
+}
+
+// Resultado guardado para a busca (undefined se não houver ou tiver expirado)
+function obterDoCache(parametros) {
+  if (!cacheHabilitado()) {
+    return undefined;
+  }
+
+  const chave = chaveDaBusca(parametros);
+  const entrada = obterEntradas().get(chave);
+  if (!entrada) {
+    return undefined;
+  }
+
+  if (new Date(entrada.expiraEm).getTime() <= Date.now()) {
+    entradas.delete(chave);
+    persistir();
+    return undefined;
+  }
+
+  return { chave, ...entrada };
+}
+
+// Guardar o resultado de uma busca
+function guardarNoCache(parametros, { voos, estatisticas }) {
+  if (!cacheHabilitado()) {
+    return undefined;
+  }
+
+  limparExpiradas();
+
+  const agora = Date.now();
+  const chave = chaveDaBusca(parametros);
+  const entrada = {
+    voos,
+    estatisticas,
+    armazenadoEm: new Date(agora).toISOString(),
+    expiraEm: new Date(agora + CACHE_TTL_MS).toISOString()
+  };
+
+  obterEntradas().set(chave, entrada);
+  persistir();
+  return { chave, ...entrada };
+}
+
+// Descartar o resultado guardado para a busca (ex.: preço confirmado diferente do buscado)
+function invalidarCache(parametros) {
+  const chave = chaveDaBusca(parametros);
+  const removida = obterEntradas().delete(chave);
+  if (removida) {
+    console.log(`[CacheVoos] Cache invalidado: ${chave}`);
+    persistir();
+  }
+  return removida;
+}
+
+module.exports = {
+  CACHE_TTL_MS,
+  chaveDaBusca,
+  obterDoCache,
+  guardarNoCache,
+  invalidarCache
+};
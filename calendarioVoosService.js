@@ -0,0 +1,142 @@
+// Calendário de tarifas (busca com datas flexíveis)
+// Busca a rota em cada combinação de ida/volta a até ±N dias das datas pedidas e monta a matriz
+// com o menor preço de cada combinação. Usa searchFlights, então aproveita cache, circuit breaker
+// e limites dos provedores; CALENDARIO_CONCORRENCIA limita quantas buscas rodam ao mesmo tempo.
+// Os provedores são consultados em BRL; tarifa que ainda assim venha em outra moeda não entra na comparação.
+
+const { searchFlights } = require('./flightsService');
+
+const MAX_DIAS = parseInt(process.env.CALENDARIO_MAX_DIAS, 10) || 3;
+const CONCORRENCIA = parseInt(process.env.CALENDARIO_CONCORRENCIA, 10) || 2;
+const MOEDA = 'BRL';
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Datas (YYYY-MM-DD) de data - dias até data + dias, sem datas no passado
+function datasAoRedor(data, dias) {
+  const hoje = new Date().toISOString().split('T')[0];
+  const base = new Date(`${data}T00:00:00Z`).getTime();
+  const datas = [];
+
+  for (let deslocamento = -dias; deslocamento <= dias; deslocamento++) {
+    const dia = new Date(base + deslocamento * DIA_MS).toISOString().split('T')[0];
+    if (dia >= hoje) {
+      datas.push(dia);
+    }
+  }
+  return datas;
+}
+
+// Executar as tarefas (funções async) com no máximo `limite` em andamento; mantém a ordem dos resultados
+async function executarComLimite(tarefas, limite) {
+  const resultados = new Array(tarefas.length);
+  let proxima = 0;
+
+  async function trabalhador() {
+    while (proxima < tarefas.length) {
+      const indice = proxima++;
+      resultados[indice] = await tarefas[indice]();
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limite, tarefas.length) }, trabalhador));
+  return resultados;
+}
+
+// Menor preço de uma combinação de datas (voos sem preço ou em outra moeda são ignorados)
+// Se só houver tarifas em outras moedas, a célula fica sem preço e com o erro explicando
+async function celulaDoCalendario(parametros, dataIda, dataVolta) {
+  try {
+    const { voos } = await searchFlights(
+      parametros.origem,
+      parametros.destino,
+      dataIda,
+      dataVolta,
+      parametros.preferencias
+    );
+    const precificados = voos.filter(voo => parseFloat(voo.preco) > 0);
+    const comPreco = precificados.filter(voo => String(voo.moeda || 'BRL').toUpperCase() === MOEDA);
+    const maisBarato = comPreco.reduce((menor, voo) => (!menor || parseFloat(voo.preco) < parseFloat(menor.preco) ? voo : menor), null);
+
+    const celula = {
+      dataIda,
+      dataVolta,
+      menorPreco: maisBarato ? parseFloat(maisBarato.preco) : null,
+      moeda: maisBarato ? MOEDA : null,
+      companhia: maisBarato ? maisBarato.companhia : null,
+      voos: comPreco.length,
+      outrasMoedas: precificados.length - comPreco.length
+    };
+    if (!maisBarato && celula.outrasMoedas > 0) {
+      const moedas = [...new Set(precificados.map(voo => voo.moeda))].join(', ');
+      celula.erro = `Nenhuma tarifa em ${MOEDA} (tarifas encontradas em ${moedas})`;
+    }
+    return celula;
+  } catch (error) {
+    return { dataIda, dataVolta, menorPreco: null, moeda: null, companhia: null, voos: 0, outrasMoedas: 0, erro: error.message };
+  }
+}
+
+// Montar o calendário de tarifas
+// parametros: { origem, destino, dataIda, dataVolta, preferencias }; opcoes: { dias }
+// matriz[i][j] = combinação datasIda[i] x datasVolta[j] (uma coluna só, com dataVolta null, se for só ida)
+async function montarCalendario(parametros, opcoes = {}) {
+  const dias = Math.min(opcoes.dias || 1, MAX_DIAS);
+  const datasIda = datasAoRedor(parametros.dataIda, dias);
+  const datasVolta = parametros.dataVolta ? datasAoRedor(parametros.dataVolta, dias) : null;
+
+  // Volta antes da ida não é uma combinação válida: a célula fica sem busca
+  const combinacoes = datasIda.flatMap(dataIda => (datasVolta || [null]).map(dataVolta => ({ dataIda, dataVolta })));
+  const tarefas = combinacoes.map(({ dataIda, dataVolta }) => () => (
+    dataVolta && dataVolta < dataIda
+      ? Promise.resolve({ dataIda, dataVolta, menorPreco: null, moeda: null, companhia: null, voos: 0, outrasMoedas: 0, invalida: true })
+      : celulaDoCalendario(parametros, dataIda, dataVolta)
+  ));
+
+  console.log(`📅 [Calendario] ${tarefas.length} combinação(ões) de datas, até ${CONCORRENCIA} busca(s) por vez`);
+  const celulas = await executarComLimite(tarefas, CONCORRENCIA);
+
+  const colunas = (datasVolta || [null]).length;
+  const matriz = datasIda.map((dataIda, i) => celulas.slice(i * colunas, (i + 1) * colunas));
+
+  // Só células na moeda do calendário entram na comparação
+  const comPreco = celulas.filter(celula => celula.menorPreco !== null && celula.moeda === MOEDA);
+  const maisBarata = comPreco.reduce((menor, celula) => (!menor || celula.menorPreco < menor.menorPreco ? celula : menor), null);
+  const solicitada = celulas.find(celula => celula.dataIda === parametros.dataIda &&
+    celula.dataVolta === (parametros.dataVolta || null)) || null;
+
+  return {
+    parametros,
+    dias,
+    moeda: MOEDA,
+    datasIda,
+    datasVolta,
+    matriz,
+    maisBarata,
+    dataSolicitada: solicitada,
+    // Quanto se economiza trocando as datas pedidas pela combinação mais barata
+    economiaPotencial: maisBarata && solicitada && solicitada.menorPreco !== null && solicitada.moeda === maisBarata.moeda
+      ? Math.round((solicitada.menorPreco - maisBarata.menorPreco) * 100) / 100
+      : null,
+    geradoEm: new Date().toISOString()
+  };
+}
+
+// Validar o número de dias de flexibilidade
+function validarDias(dias) {
+  const erros = [];
+  if (!Number.isInteger(dias) || dias < 1 || dias > MAX_DIAS) {
+    erros.push(`Dias de flexibilidade deve ser um inteiro de 1 a ${MAX_DIAS}`);
+  }
+
+  return {
+    valida: erros.length === 0,
+    erros
+  };
+}
+
+module.exports = {
+  MAX_DIAS,
+  montarCalendario,
+  validarDias
+};
@@ -0,0 +1,97 @@
+// Referência de companhias aéreas (companhias.json)
+// Fonte única para reconhecer a companhia pelo código IATA/ICAO, por códigos antigos (JJ → LA)
+// ou pelo nome ("GOL", "G3" e "Gol Linhas Aéreas" são a mesma companhia), usada pelos provedores,
+// pelos filtros da busca, pelas cotações e pelos relatórios.
+
+const { companhias: COMPANHIAS } = require('./companhias.json');
+
+// Remover acentos e padronizar para comparação
+function normalizarTexto(texto) {
+  return String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+// Códigos (IATA, ICAO, antigos) e nomes normalizados → companhia
+const POR_CODIGO = new Map();
+const POR_NOME = new Map();
+COMPANHIAS.forEach(companhia => {
+  [companhia.iata, companhia.icao, ...companhia.codigosAntigos].forEach(codigo => POR_CODIGO.set(codigo, companhia));
+  [companhia.nome, companhia.nomeCompleto, ...companhia.apelidos].forEach(nome => POR_NOME.set(normalizarTexto(nome), companhia));
+});
+
+// Companhia pelo código ou pelo nome (null se não estiver na referência)
+function obterCompanhia(valor) {
+  const texto = String(valor || '').trim();
+  if (!texto) {
+    return null;
+  }
+  return POR_CODIGO.get(texto.toUpperCase()) || POR_NOME.get(normalizarTexto(texto)) || null;
+}
+
+// Código IATA da companhia; fora da referência, o próprio texto em maiúsculas
+// (o código informado pelo provedor continua servindo para comparar)
+function codigoDaCompanhia(valor) {
+  const companhia = obterCompanhia(valor);
+  return companhia ? companhia.iata : String(valor || '').trim().toUpperCase();
+}
+
+// Nome de exibição da companhia; fora da referência, o texto recebido
+function nomeDaCompanhia(valor) {
+  const companhia = obterCompanhia(valor);
+  return companhia ? companhia.nome : String(valor || '').trim();
+}
+
+// Dados públicos da companhia para respostas e relatórios (companhia desconhecida: só código e nome)
+function resumoDaCompanhia(valor) {
+  const companhia = obterCompanhia(valor);
+  if (!companhia) {
+    const texto = String(valor || '').trim();
+    return { codigo: texto.toUpperCase() || null, nome: texto || null, conhecida: false };
+  }
+
+  return {
+    codigo: companhia.iata,
+    icao: companhia.icao,
+    nome: companhia.nome,
+    alianca: companhia.alianca,
+    lowCost: companhia.lowCost,
+    logo: companhia.logo,
+    conhecida: true
+  };
+}
+
+// Autocomplete: código exato primeiro, depois nomes que começam com o texto
+function buscarCompanhias(termo, limite = 10) {
+  const alvo = normalizarTexto(termo);
+  if (alvo.length < 2) {
+    return [];
+  }
+
+  const codigo = alvo.toUpperCase();
+  const prioridade = companhia => {
+    if ([companhia.iata, companhia.icao, ...companhia.codigosAntigos].includes(codigo)) return 0;
+    const nomes = [companhia.nome, companhia.nomeCompleto, ...companhia.apelidos].map(normalizarTexto);
+    if (nomes.some(nome => nome.startsWith(alvo) || nome.includes(` ${alvo}`))) return 1;
+    return null;
+  };
+
+  return COMPANHIAS
+    .map(companhia => ({ companhia, prioridade: prioridade(companhia) }))
+    .filter(resultado => resultado.prioridade !== null)
+    .sort((a, b) => a.prioridade - b.prioridade)
+    .slice(0, limite)
+    .map(resultado => resultado.companhia);
+}
+
+module.exports = {
+  COMPANHIAS,
+  obterCompanhia,
+  codigoDaCompanhia,
+  nomeDaCompanhia,
+  resumoDaCompanhia,
+  buscarCompanhias
+};
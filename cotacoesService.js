@@ -1,16 +1,26 @@
-// Serviço de Cotações Manuais
-// Sistema de cotações sem APIs externas
+// Serviço de Cotações
+// Cotações digitadas por Compras ou montadas a partir de voos de uma busca (fonte da API)
+
+const { obterCompanhia, codigoDaCompanhia, nomeDaCompanhia, resumoDaCompanhia } = require('./companhiasService');
 
 // Estrutura de uma cotação
 function criarCotacao(dados) {
   return {
     id: dados.id || `cotacao-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-    companhia: dados.companhia || '',
+    // Nome padronizado pela referência de companhias (texto digitado fica como veio se não for reconhecido)
+    companhia: dados.companhia ? nomeDaCompanhia(dados.companhia) : '',
+    codigoCompanhia: dados.codigoCompanhia ? codigoDaCompanhia(dados.codigoCompanhia) : obterCompanhia(dados.companhia)?.iata || null,
+    // Companhia fora da referência (regional, estrangeira) é aceita, só fica marcada
+    companhiaReconhecida: Boolean(obterCompanhia(dados.codigoCompanhia || dados.companhia)),
     agencia: dados.agencia || '',
     horarioIda: dados.horarioIda || '',
     horarioVolta: dados.horarioVolta || null,
     escalas: dados.escalas || 0,
+    escalasVolta: dados.escalasVolta ?? null,
     duracao: dados.duracao || '',
+    duracaoIda: dados.duracaoIda || dados.duracao || '',
+    duracaoVolta: dados.duracaoVolta || null,
+    segmentos: dados.segmentos || { ida: [], volta: null }, // Trechos (origem, destino, horários, número do voo)
     bagagem: dados.bagagem || {
       inclui: false,
       quantidade: 0,
@@ -19,16 +29,50 @@ function criarCotacao(dados) {
     taxaRemarcacao: dados.taxaRemarcacao || '',
     politicaRemarcacao: dados.politicaRemarcacao || '',
     precoTotal: parseFloat(dados.precoTotal) || 0,
+    precoPorTrecho: dados.precoPorTrecho || null, // { ida, volta } quando a API cota cada trecho
     moeda: dados.moeda || 'BRL',
     validade: dados.validade || null, // Data de expiração da cotação
     linkFonte: dados.linkFonte || '',
     observacoes: dados.observacoes || '',
+    fonte: dados.fonte || 'MANUAL', // MANUAL ou a API de origem (TRAVELLINK, AMADEUS...)
+    ofertaOriginal: dados.ofertaOriginal || null, // Oferta como veio da API (usada na confirmação de preço)
+    parametrosBusca: dados.parametrosBusca || null, // { buscaId, vooId, origem, destino, dataIda, dataVolta, preferencias }
     criadoPor: dados.criadoPor || '',
     criadoEm: dados.criadoEm || new Date().toISOString(),
     selecionada: false
   };
 }
 
+// Dados de cotação a partir de um voo normalizado da busca multi-API
+function cotacaoDeVoo(voo, busca) {
+  return {
+    companhia: voo.companhia,
+    codigoCompanhia: voo.codigoCompanhia || null,
+    horarioIda: voo.dataIda,
+    horarioVolta: voo.dataVolta || null,
+    escalas: voo.escalasIda || 0,
+    escalasVolta: voo.escalasVolta ?? null,
+    duracao: voo.duracaoIda,
+    duracaoIda: voo.duracaoIda,
+    duracaoVolta: voo.duracaoVolta || null,
+    segmentos: {
+      ida: voo.detalhes?.ida || [],
+      volta: voo.detalhes?.volta || null
+    },
+    precoTotal: voo.preco,
+    precoPorTrecho: voo.precoPorTrecho || null,
+    moeda: voo.moeda,
+    linkFonte: voo.linkReserva || '',
+    fonte: voo.fonte,
+    ofertaOriginal: voo._originalOffer || null,
+    parametrosBusca: {
+      buscaId: busca.id,
+      vooId: voo.id,
+      ...busca.parametros
+    }
+  };
+}
+
 // Validar cotação
 function validarCotacao(cotacao) {
   const erros = [];
@@ -63,6 +107,49 @@ function cotacaoValida(cotacao) {
   return dataValidade > agora;
 }
 
+// Gravar na cotação o resultado de confirmFlightPrice (multiAPI)
+function registrarConfirmacaoPreco(cotacao, confirmacao, usuario) {
+  cotacao.confirmacaoPreco = {
+    precoCotado: cotacao.precoTotal,
+    precoConfirmado: parseFloat(confirmacao.grandTotal || confirmacao.preco) || 0,
+    precoBase: parseFloat(confirmacao.precoBase) || null,
+    moeda: confirmacao.moeda || cotacao.moeda,
+    taxas: confirmacao.taxas || [],
+    ultimaDataEmissao: confirmacao.ultimaDataEmissao || null,
+    assentosDisponiveis: confirmacao.assentosDisponiveis ?? null,
+    requerEmissaoImediata: confirmacao.requerEmissaoImediata || false,
+    confirmadoPorId: usuario.id,
+    confirmadoPorNome: usuario.name,
+    confirmadoEm: confirmacao.timestamp || new Date().toISOString()
+  };
+  return cotacao.confirmacaoPreco;
+}
+
+// Comparar o preço confirmado com o cotado/aprovado (precoTotal) dentro da tolerância (%)
+// Sem confirmação registrada não há o que bloquear
+function verificarPrecoConfirmado(cotacao, toleranciaPercentual) {
+  const confirmacao = cotacao.confirmacaoPreco;
+  if (!confirmacao) {
+    return { confirmado: false, dentroDaTolerancia: true };
+  }
+
+  const precoAprovado = cotacao.precoTotal;
+  const limite = Math.round(precoAprovado * (1 + toleranciaPercentual / 100) * 100) / 100;
+  const variacao = precoAprovado > 0
+    ? Math.round(((confirmacao.precoConfirmado - precoAprovado) / precoAprovado) * 10000) / 100
+    : null;
+
+  return {
+    confirmado: true,
+    dentroDaTolerancia: confirmacao.precoConfirmado <= limite,
+    precoAprovado,
+    precoConfirmado: confirmacao.precoConfirmado,
+    limite,
+    variacaoPercentual: variacao,
+    toleranciaPercentual
+  };
+}
+
 // Formatar cotação para exibição
 function formatarCotacao(cotacao) {
   return {
@@ -81,10 +168,42 @@ function formatarCotacao(cotacao) {
   };
 }
 
+// Relatório por companhia: solicitações com cotação escolhida ou compra finalizada, agrupadas pelo código IATA
+// (compra finalizada vale mais que a cotação escolhida: é a companhia e o valor efetivos)
+function resumoPorCompanhia(solicitacoes) {
+  const porCodigo = new Map();
+
+  for (const solicitacao of solicitacoes) {
+    const cotacao = solicitacao.cotacoes?.find(c => c.id === solicitacao.cotacaoSelecionada);
+    const compra = solicitacao.compraFinalizada;
+    const companhia = compra?.codigoCompanhia || compra?.companhia || cotacao?.codigoCompanhia || cotacao?.companhia;
+    if (!companhia) {
+      continue;
+    }
+
+    const resumo = resumoDaCompanhia(companhia);
+    if (!porCodigo.has(resumo.codigo)) {
+      porCodigo.set(resumo.codigo, { ...resumo, solicitacoes: 0, compradas: 0, valorTotal: 0 });
+    }
+    const item = porCodigo.get(resumo.codigo);
+    item.solicitacoes++;
+    item.compradas += compra ? 1 : 0;
+    item.valorTotal += (compra ? compra.valorFinal : cotacao?.precoTotal) || 0;
+  }
+
+  return [...porCodigo.values()]
+    .map(item => ({ ...item, valorTotal: Math.round(item.valorTotal * 100) / 100 }))
+    .sort((a, b) => b.valorTotal - a.valorTotal);
+}
+
 module.exports = {
   criarCotacao,
+  cotacaoDeVoo,
   validarCotacao,
   cotacaoValida,
-  formatarCotacao
+  registrarConfirmacaoPreco,
+  verificarPrecoConfirmado,
+  formatarCotacao,
+  resumoPorCompanhia
 };
 
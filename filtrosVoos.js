@@ -0,0 +1,143 @@
+// Preferências da busca de voos: passageiros, cabine, escalas, companhias e preço máximo
+// Os provedores que suportam recebem as preferências na consulta (ex.: Amadeus);
+// aplicarFiltros refaz os filtros sobre os voos normalizados, cobrindo os que não suportam.
+
+const { codigoDaCompanhia } = require('./companhiasService');
+
+const CABINES = ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'];
+
+const PREFERENCIAS_PADRAO = {
+  passageiros: { adultos: 1, criancas: 0, bebes: 0 },
+  cabine: null,
+  somenteDiretos: false,
+  maxEscalas: null,
+  companhiasPreferidas: [],
+  companhiasExcluidas: [],
+  precoMaximo: null
+};
+
+const MAX_PASSAGEIROS = 9;
+
+// Lista separada por vírgula ("LA, GOL") ou array → códigos IATA (companhiasService.js)
+function lista(valor) {
+  const itens = Array.isArray(valor) ? valor : String(valor || '').split(',');
+  return [...new Set(itens.map(codigoDaCompanhia).filter(Boolean))];
+}
+
+// Número opcional: vazio → padrão; texto inválido → NaN (rejeitado por validarPreferencias)
+function numero(valor, padrao) {
+  if (valor === undefined || valor === null || valor === '') {
+    return padrao;
+  }
+  return Number(valor);
+}
+
+// Converter os parâmetros da query (ou de um objeto) em preferências tipadas, com os padrões
+function normalizarPreferencias(entrada = {}) {
+  const padrao = PREFERENCIAS_PADRAO;
+  const somenteDiretos = entrada.somenteDiretos === true || entrada.somenteDiretos === 'true';
+
+  return {
+    passageiros: {
+      adultos: numero(entrada.adultos ?? entrada.passageiros?.adultos, padrao.passageiros.adultos),
+      criancas: numero(entrada.criancas ?? entrada.passageiros?.criancas, padrao.passageiros.criancas),
+      bebes: numero(entrada.bebes ?? entrada.passageiros?.bebes, padrao.passageiros.bebes)
+    },
+    cabine: entrada.cabine ? String(entrada.cabine).trim().toUpperCase() : padrao.cabine,
+    somenteDiretos,
+    maxEscalas: somenteDiretos ? 0 : numero(entrada.maxEscalas, padrao.maxEscalas),
+    companhiasPreferidas: lista(entrada.companhias ?? entrada.companhiasPreferidas),
+    companhiasExcluidas: lista(entrada.excluirCompanhias ?? entrada.companhiasExcluidas),
+    precoMaximo: numero(entrada.precoMaximo, padrao.precoMaximo)
+  };
+}
+
+// Validar preferências já normalizadas
+function validarPreferencias(preferencias) {
+  const erros = [];
+  const { adultos, criancas, bebes } = preferencias.passageiros;
+  const inteiro = (valor, minimo) => Number.isInteger(valor) && valor >= minimo;
+
+  if (!inteiro(adultos, 1)) {
+    erros.push('Adultos deve ser um número inteiro maior ou igual a 1');
+  }
+  if (!inteiro(criancas, 0)) {
+    erros.push('Crianças deve ser um número inteiro maior ou igual a 0');
+  }
+  if (!inteiro(bebes, 0)) {
+    erros.push('Bebês deve ser um número inteiro maior ou igual a 0');
+  } else if (inteiro(adultos, 1) && bebes > adultos) {
+    erros.push('Cada bebê precisa de um adulto (bebês não podem passar do número de adultos)');
+  }
+  if (adultos + criancas > MAX_PASSAGEIROS) {
+    erros.push(`Máximo de ${MAX_PASSAGEIROS} passageiros com assento por busca`);
+  }
+
+  if (preferencias.cabine && !CABINES.includes(preferencias.cabine)) {
+    erros.push(`Cabine inválida (use ${CABINES.join(', ')})`);
+  }
+
+  if (preferencias.maxEscalas !== null && !inteiro(preferencias.maxEscalas, 0)) {
+    erros.push('Máximo de escalas deve ser um número inteiro maior ou igual a 0');
+  }
+
+  const conflito = preferencias.companhiasPreferidas.filter(c => preferencias.companhiasExcluidas.includes(c));
+  if (conflito.length > 0) {
+    erros.push(`Companhia preferida e excluída ao mesmo tempo: ${conflito.join(', ')}`);
+  }
+
+  if (preferencias.precoMaximo !== null && !(preferencias.precoMaximo > 0)) {
+    erros.push('Preço máximo deve ser um número maior que zero');
+  }
+
+  return {
+    valida: erros.length === 0,
+    erros
+  };
+}
+
+// Voo é de uma das companhias da lista (código ou nome do voo convertido para o código IATA)
+function companhiaNaLista(voo, companhias) {
+  const codigos = [voo.codigoCompanhia, voo.companhia].filter(Boolean).map(codigoDaCompanhia);
+  return codigos.some(codigo => companhias.includes(codigo));
+}
+
+// Filtrar voos normalizados pelas preferências e colocar as companhias preferidas primeiro
+// Cabine desconhecida é tratada como econômica (tarifa padrão dos provedores que não informam)
+// Voos sem preço (ex.: Aviationstack) não são cortados pelo preço máximo
+function aplicarFiltros(voos, preferencias = PREFERENCIAS_PADRAO) {
+  const { cabine, maxEscalas, companhiasPreferidas, companhiasExcluidas, precoMaximo } = preferencias;
+
+  const filtrados = voos.filter(voo => {
+    if (cabine && (voo.cabine || 'ECONOMY') !== cabine) {
+      return false;
+    }
+    if (maxEscalas !== null && Math.max(voo.escalasIda || 0, voo.escalasVolta || 0) > maxEscalas) {
+      return false;
+    }
+    if (companhiasExcluidas.length > 0 && companhiaNaLista(voo, companhiasExcluidas)) {
+      return false;
+    }
+    if (precoMaximo !== null && parseFloat(voo.preco) > precoMaximo) {
+      return false;
+    }
+    return true;
+  });
+
+  if (companhiasPreferidas.length === 0) {
+    return filtrados;
+  }
+
+  return [
+    ...filtrados.filter(voo => companhiaNaLista(voo, companhiasPreferidas)),
+    ...filtrados.filter(voo => !companhiaNaLista(voo, companhiasPreferidas))
+  ];
+}
+
+module.exports = {
+  CABINES,
+  PREFERENCIAS_PADRAO,
+  normalizarPreferencias,
+  validarPreferencias,
+  aplicarFiltros
+};
@@ -0,0 +1,62 @@
+// Script para importar o data.json para o SQLite (uma vez, ao trocar de armazenamento)
+// O banco de destino precisa estar vazio. Migrações de dados ainda não aplicadas no
+// data.json (ex.: senhas em texto puro) são aplicadas depois da importação.
+// Execute: STORAGE_DRIVER=sqlite node import-json.js [caminho/do/data.json]
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const storage = require('./storage');
+const { executarMigracoes } = require('./migrations');
+
+async function main() {
+  const arquivo = path.resolve(process.argv[2] || path.join(__dirname, 'data.json'));
+
+  if (storage.DRIVER !== 'sqlite') {
+    console.error('❌ Defina STORAGE_DRIVER=sqlite para importar para o SQLite');
+    process.exit(1);
+  }
+
+  console.log(`🔄 Importando ${arquivo} para ${storage.SQLITE_FILE}...`);
+
+  try {
+    const data = JSON.parse(await fs.readFile(arquivo, 'utf8'));
+
+    await storage.abrir();
+
+    // Com migrações registradas, as de dados não rodariam sobre o que for importado
+    if ((await storage.migracoes.aplicadas()).length > 0) {
+      throw new Error('O banco de destino já foi inicializado (importe antes de iniciar o servidor com SQLite)');
+    }
+
+    await executarMigracoes(storage, { somenteEsquema: true });
+
+    for (const usuario of data.users || []) {
+      if (!(await storage.usuarios.inserir(usuario))) {
+        console.warn(`⚠️ Usuário ignorado (email duplicado): ${usuario.email}`);
+      }
+    }
+    for (const sessao of data.sessoes || []) {
+      await storage.sessoes.inserir(sessao);
+    }
+    for (const solicitacao of data.solicitacoes || []) {
+      await storage.solicitacoes.inserir(solicitacao);
+    }
+    if (data.politicaAprovacao) {
+      await storage.configuracoes.atualizar('politicaAprovacao', () => data.politicaAprovacao);
+    }
+
+    // Migrações já aplicadas no data.json não devem rodar de novo
+    for (const migracao of data.migracoes || []) {
+      await storage.migracoes.registrar(migracao.id, migracao.descricao);
+    }
+    await executarMigracoes(storage);
+
+    console.log(`✅ Importação concluída! ${(data.users || []).length} usuário(s), ${(data.solicitacoes || []).length} solicitação(ões).`);
+  } catch (error) {
+    console.error('❌ Erro na importação:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
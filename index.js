@@ -2,11 +2,25 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const { authenticateUser, createUser, listUsers, updateUser, deleteUser, migratePasswords } = require('./auth');
-const { criarCotacao, validarCotacao, formatarCotacao } = require('./cotacoesService');
+const { authenticateUser, createUser, listUsers, updateUser, deleteUser, migratePasswords, refreshSession, revokeSession } = require('./auth');
+const { requireAuth, requirePermission } = require('./authMiddleware');
+const { temPermissao, ehSolicitante, podeVerSolicitacao } = require('./permissions');
+const { CAMPOS_EDITAVEIS, criarSolicitacao, validarSolicitacao, validarCamposAjuste, aplicarAlteracoes } = require('./solicitacoesService');
+const { STATUS, aplicarTransicao, verificarTransicao, transicoesDisponiveis, normalizarStatus, criarFluxo, iniciarFluxo, statusDoFluxo, aprovacoesRegistradas } = require('./workflow');
+const { POLITICA_PADRAO, montarCadeia, validarPolitica, toleranciaDePreco } = require('./approvalPolicy');
+const { criarCotacao, cotacaoDeVoo, validarCotacao, registrarConfirmacaoPreco, verificarPrecoConfirmado, formatarCotacao, resumoPorCompanhia } = require('./cotacoesService');
+const { confirmFlightPrice, statusDosProvedores } = require('./multiAPI');
+const { searchFlights, validarBusca } = require('./flightsService');
+const { registrarBusca, obterBusca } = require('./buscasService');
+const { invalidarCache } = require('./cacheVoosService');
+const { normalizarPreferencias } = require('./filtrosVoos');
+const { MAX_DIAS, montarCalendario, validarDias } = require('./calendarioVoosService');
+const { buscarAeroportos } = require('./aeroportosService');
+const { obterCompanhia, nomeDaCompanhia, buscarCompanhias } = require('./companhiasService');
+const gravacaoVoos = require('./providers/gravacao');
+const storage = require('./storage');
 const multer = require('multer');
 
 // Configurar upload de arquivos
@@ -15,7 +29,7 @@ if (!require('fs').existsSync(uploadDir)) {
   require('fs').mkdirSync(uploadDir, { recursive: true });
 }
 
-const storage = multer.diskStorage({
+const uploadStorage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, uploadDir);
   },
@@ -26,7 +40,7 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({ 
-  storage: storage,
+  storage: uploadStorage,
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
   fileFilter: (req, file, cb) => {
     // Aceitar PDFs e imagens
@@ -40,7 +54,6 @@ const upload = multer({
 
 const app = express();
 const PORT = process.env.PORT || 3001;
-const DATA_FILE = path.join(__dirname, 'data.json');
 
 // Configurar keep-alive para evitar muitas conexões TIME_WAIT
 app.use((req, res, next) => {
@@ -83,32 +96,39 @@ app.get('/health', (req, res) => {
 
 // Inicializar dados se não existirem
 async function initializeData() {
-  try {
-    await fs.access(DATA_FILE);
-  } catch {
-    const initialData = {
-      users: [
-        { id: '1', name: 'João Silva', email: 'joao@empresa.com', role: 'colaborador', password: '123' },
-        { id: '2', name: 'Maria Santos', email: 'maria@empresa.com', role: 'gerente', password: '123' },
-        { id: '3', name: 'Pedro Costa', email: 'pedro@empresa.com', role: 'diretor', password: '123' },
-        { id: '4', name: 'Ana Compras', email: 'ana@empresa.com', role: 'compras', password: '123' }
-      ],
-      solicitacoes: [],
-      aprovacoes: []
-    };
-    await fs.writeFile(DATA_FILE, JSON.stringify(initialData, null, 2));
-  }
+  const initialData = {
+    users: [
+      { id: '1', name: 'João Silva', email: 'joao@empresa.com', role: 'colaborador', password: '123' },
+      { id: '2', name: 'Maria Santos', email: 'maria@empresa.com', role: 'gerente', password: '123' },
+      { id: '3', name: 'Pedro Costa', email: 'pedro@empresa.com', role: 'diretor', password: '123' },
+      { id: '4', name: 'Ana Compras', email: 'ana@empresa.com', role: 'compras', password: '123' },
+      { id: '5', name: 'Carlos Gestor', email: 'carlos@empresa.com', role: 'gestor', password: '123' }
+    ],
+    solicitacoes: [],
+    aprovacoes: [],
+    sessoes: []
+  };
+  await storage.inicializar(initialData);
 }
 
-// Ler dados
-async function readData() {
-  const data = await fs.readFile(DATA_FILE, 'utf8');
-  return JSON.parse(data);
+// Política de aprovação vigente (a gravada ou a padrão)
+async function obterPolitica() {
+  return (await storage.configuracoes.obter('politicaAprovacao')) || POLITICA_PADRAO;
 }
 
-// Escrever dados
-async function writeData(data) {
-  await fs.writeFile(DATA_FILE, JSON.stringify(data, null, 2));
+// Resposta de erro decidida dentro de uma transação
+// (retornar antes de alterar os dados, para que nada seja gravado)
+function falha(status, message, extras = {}) {
+  return { falha: { status, body: { message, ...extras } } };
+}
+
+// Enviar a resposta de erro de uma transação, se houver
+function responderFalha(res, resultado) {
+  if (resultado && resultado.falha) {
+    res.status(resultado.falha.status).json(resultado.falha.body);
+    return true;
+  }
+  return false;
 }
 
 // Rotas de autenticação
@@ -123,7 +143,13 @@ app.post('/api/login', async (req, res) => {
     const result = await authenticateUser(email, password);
     
     if (result.success) {
-      res.json({ success: true, user: result.user });
+      res.json({
+        success: true,
+        user: result.user,
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      });
     } else {
       res.status(401).json({ success: false, message: result.message });
     }
@@ -133,11 +159,59 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
+// Renovar access token usando o refresh token
+app.post('/api/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'Refresh token é obrigatório' });
+    }
+
+    const result = await refreshSession(refreshToken);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        user: result.user,
+        accessToken: result.accessToken,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      });
+    } else {
+      res.status(401).json({ success: false, message: result.message });
+    }
+  } catch (error) {
+    console.error('Erro ao renovar sessão:', error);
+    res.status(500).json({ success: false, message: 'Erro ao renovar sessão' });
+  }
+});
+
+// Todas as demais rotas /api exigem autenticação
+app.use('/api', requireAuth);
+
+// Encerrar sessão atual
+app.post('/api/logout', async (req, res) => {
+  try {
+    const result = await revokeSession(req.user.sessionId);
+    if (result.success) {
+      res.json({ success: true });
+    } else {
+      res.status(400).json({ success: false, message: result.message });
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Obter usuário atual
 app.get('/api/user/:id', async (req, res) => {
   try {
-    const data = await readData();
-    const user = data.users.find(u => u.id === req.params.id);
+    if (req.params.id !== req.user.id && !temPermissao(req.user.role, 'usuarios:gerenciar')) {
+      return res.status(403).json({ message: 'Acesso negado' });
+    }
+
+    const user = await storage.usuarios.buscarPorId(req.params.id);
     if (user) {
       const { password, passwordHash, ...userWithoutPassword } = user;
       res.json(userWithoutPassword);
@@ -150,7 +224,7 @@ app.get('/api/user/:id', async (req, res) => {
 });
 
 // Gerenciar usuários (requer autenticação de admin/diretor)
-app.get('/api/users', async (req, res) => {
+app.get('/api/users', requirePermission('usuarios:gerenciar'), async (req, res) => {
   try {
     const users = await listUsers();
     res.json(users);
@@ -159,7 +233,7 @@ app.get('/api/users', async (req, res) => {
   }
 });
 
-app.post('/api/users', async (req, res) => {
+app.post('/api/users', requirePermission('usuarios:gerenciar'), async (req, res) => {
   try {
     const result = await createUser(req.body);
     if (result.success) {
@@ -172,7 +246,7 @@ app.post('/api/users', async (req, res) => {
   }
 });
 
-app.put('/api/users/:id', async (req, res) => {
+app.put('/api/users/:id', requirePermission('usuarios:gerenciar'), async (req, res) => {
   try {
     const result = await updateUser(req.params.id, req.body);
     if (result.success) {
@@ -185,7 +259,7 @@ app.put('/api/users/:id', async (req, res) => {
   }
 });
 
-app.delete('/api/users/:id', async (req, res) => {
+app.delete('/api/users/:id', requirePermission('usuarios:gerenciar'), async (req, res) => {
   try {
     const result = await deleteUser(req.params.id);
     if (result.success) {
@@ -199,7 +273,7 @@ app.delete('/api/users/:id', async (req, res) => {
 });
 
 // Rota para migrar senhas (executar uma vez)
-app.post('/api/migrate-passwords', async (req, res) => {
+app.post('/api/migrate-passwords', requirePermission('usuarios:gerenciar'), async (req, res) => {
   try {
     const result = await migratePasswords();
     res.json(result);
@@ -209,38 +283,62 @@ app.post('/api/migrate-passwords', async (req, res) => {
 });
 
 // Criar solicitação
-app.post('/api/solicitacoes', async (req, res) => {
+app.post('/api/solicitacoes', requirePermission('solicitacoes:criar'), async (req, res) => {
   try {
-    const data = await readData();
+    const dados = criarSolicitacao(req.body || {});
+    const validacao = validarSolicitacao(dados);
+    
+    if (!validacao.valida) {
+      return res.status(400).json({ message: 'Solicitação inválida', erros: validacao.erros });
+    }
+    
     const solicitacao = {
       id: uuidv4(),
-      ...req.body,
-      // Fluxo esperado no TravelFlow: entrar primeiro em pendente de aprovação
-      // (o frontend filtra por pendente_gerente / pendente_diretor)
-      status: 'pendente_gerente',
+      ...dados,
+      // Solicitante é sempre o usuário autenticado
+      solicitanteId: req.user.id,
+      solicitanteNome: req.user.name,
+      solicitanteEmail: req.user.email,
       cotacoes: [], // Array de cotações
       cotacaoSelecionada: null, // ID da cotação selecionada
       anexos: [], // Array de anexos (PDFs, bilhetes, etc)
       createdAt: new Date().toISOString(),
-      historico: [{
-        acao: 'Solicitação criada',
-        data: new Date().toISOString()
-      }]
+      historico: []
     };
     
-    data.solicitacoes.push(solicitacao);
-    await writeData(data);
-    res.json(solicitacao);
+    // Status inicial definido pela política de aprovação (valorEstimado é opcional)
+    const politica = await obterPolitica();
+    const cadeia = montarCadeia(politica, solicitacao, solicitacao.valorEstimado);
+    solicitacao.status = iniciarFluxo(solicitacao, cadeia, STATUS.APROVADO_FINAL);
+    solicitacao.historico.push({
+      acao: 'Solicitação criada',
+      para: solicitacao.status,
+      usuario: req.user.name,
+      usuarioId: req.user.id,
+      data: new Date().toISOString()
+    });
+    
+    res.json(await storage.solicitacoes.inserir(solicitacao));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
 // Listar solicitações
+// Filtros opcionais: ?status=PENDENTE_GESTOR,PENDENTE_GERENTE&dataIdaDe=2026-01-01&dataIdaAte=2026-01-31
 app.get('/api/solicitacoes', async (req, res) => {
   try {
-    const data = await readData();
-    res.json(data.solicitacoes);
+    const { status, dataIdaDe, dataIdaAte } = req.query;
+    const filtro = {
+      status: status ? String(status).split(',').map(normalizarStatus) : null,
+      dataIdaDe: dataIdaDe || null,
+      dataIdaAte: dataIdaAte || null,
+      // Colaboradores só enxergam as próprias solicitações (filtro aplicado já na consulta)
+      solicitanteId: temPermissao(req.user.role, 'solicitacoes:ver_todas') ? null : req.user.id
+    };
+    
+    const solicitacoes = await storage.solicitacoes.listar(filtro);
+    res.json(solicitacoes.filter(s => podeVerSolicitacao(req.user, s)));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -249,160 +347,362 @@ app.get('/api/solicitacoes', async (req, res) => {
 // Obter solicitação por ID
 app.get('/api/solicitacoes/:id', async (req, res) => {
   try {
-    const data = await readData();
-    const solicitacao = data.solicitacoes.find(s => s.id === req.params.id);
-    if (solicitacao) {
-      res.json(solicitacao);
-    } else {
-      res.status(404).json({ message: 'Solicitação não encontrada' });
+    const solicitacao = await storage.solicitacoes.buscarPorId(req.params.id);
+    if (!solicitacao) {
+      return res.status(404).json({ message: 'Solicitação não encontrada' });
     }
+    if (!podeVerSolicitacao(req.user, solicitacao)) {
+      return res.status(403).json({ message: 'Acesso negado' });
+    }
+    res.json(solicitacao);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Aprovar/Rejeitar solicitação (Gerente)
-app.post('/api/solicitacoes/:id/aprovar-gerente', async (req, res) => {
+// Editar solicitação (Solicitante) - enquanto pendente de cotação/aprovação
+app.put('/api/solicitacoes/:id', async (req, res) => {
   try {
-    const { aprovado, motivo } = req.body;
-    const data = await readData();
-    const solicitacao = data.solicitacoes.find(s => s.id === req.params.id);
+    const politica = await obterPolitica();
+    const resultado = await storage.solicitacoes.atualizar(req.params.id, solicitacao => {
+      if (!solicitacao) {
+        return falha(404, 'Solicitação não encontrada');
+      }
+      
+      const verificacao = verificarTransicao(solicitacao, 'editar_solicitacao', req.user);
+      if (!verificacao.permitido) {
+        return falha(verificacao.status, verificacao.message);
+      }
+      
+      const aprovacoesInvalidadas = aprovacoesRegistradas(solicitacao);
+      const { erros, diferencas } = aplicarAlteracoes(solicitacao, req.body);
+      if (erros.length > 0) {
+        return falha(400, 'Alterações inválidas', { erros });
+      }
+      
+      if (diferencas.length === 0) {
+        return { solicitacao };
+      }
+      
+      // Dados alterados podem mudar a cadeia (destino, departamento, valor estimado...)
+      const cotacaoSelecionada = solicitacao.cotacoes?.find(c => c.id === solicitacao.cotacaoSelecionada);
+      const cadeia = montarCadeia(politica, solicitacao, cotacaoSelecionada?.precoTotal ?? solicitacao.valorEstimado);
+      
+      aplicarTransicao(solicitacao, 'editar_solicitacao', req.user, {
+        cadeia,
+        historico: { alteracoes: diferencas, aprovacoesInvalidadas }
+      });
+      
+      return { solicitacao };
+    });
     
-    if (!solicitacao) {
-      return res.status(404).json({ message: 'Solicitação não encontrada' });
-    }
+    if (responderFalha(res, resultado)) return;
+    res.json(resultado.solicitacao);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Cancelar solicitação (Solicitante) - a qualquer momento antes da compra
+app.delete('/api/solicitacoes/:id', async (req, res) => {
+  try {
+    const motivo = req.body?.motivo || req.query.motivo;
     
-    // Ajustar para novos status
-    const statusEsperado = solicitacao.status === 'PENDENTE_GERENTE' || solicitacao.status === 'pendente_gerente';
-    if (!statusEsperado) {
-      return res.status(400).json({ message: 'Solicitação não está pendente de aprovação do gerente' });
+    if (!motivo || !String(motivo).trim()) {
+      return res.status(400).json({ message: 'Motivo do cancelamento é obrigatório' });
     }
     
-    solicitacao.status = aprovado ? 'PENDENTE_GERENTE_APROVADO' : 'REJEITADA';
-    solicitacao.aprovacaoGerente = { aprovado, motivo, data: new Date().toISOString() };
-    solicitacao.historico.push({
-      acao: aprovado ? 'Aprovado pelo Gerente' : 'Rejeitado pelo Gerente',
-      motivo,
-      data: new Date().toISOString()
+    const resultado = await storage.solicitacoes.atualizar(req.params.id, solicitacao => {
+      if (!solicitacao) {
+        return falha(404, 'Solicitação não encontrada');
+      }
+      
+      const transicao = aplicarTransicao(solicitacao, 'cancelar', req.user, { motivo });
+      if (!transicao.sucesso) {
+        return falha(transicao.status, transicao.message);
+      }
+      
+      solicitacao.cancelamento = {
+        motivo,
+        canceladoPorId: req.user.id,
+        canceladoPorNome: req.user.name,
+        data: new Date().toISOString()
+      };
+      
+      return { solicitacao };
     });
     
-    await writeData(data);
-    res.json(solicitacao);
+    if (responderFalha(res, resultado)) return;
+    res.json(resultado.solicitacao);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Aprovar/Rejeitar solicitação (Diretor)
-app.post('/api/solicitacoes/:id/aprovar-diretor', async (req, res) => {
+// Ações de fluxo disponíveis para o usuário atual
+app.get('/api/solicitacoes/:id/transicoes', async (req, res) => {
   try {
-    const { aprovado, motivo } = req.body;
-    const data = await readData();
-    const solicitacao = data.solicitacoes.find(s => s.id === req.params.id);
+    const solicitacao = await storage.solicitacoes.buscarPorId(req.params.id);
     
     if (!solicitacao) {
       return res.status(404).json({ message: 'Solicitação não encontrada' });
     }
     
-    // Ajustar para novos status
-    const statusEsperado = solicitacao.status === 'PENDENTE_DIRETOR' || solicitacao.status === 'pendente_diretor' || solicitacao.status === 'PENDENTE_GERENTE_APROVADO';
-    if (!statusEsperado) {
-      return res.status(400).json({ message: 'Solicitação não está pendente de aprovação do diretor' });
+    if (!podeVerSolicitacao(req.user, solicitacao)) {
+      return res.status(403).json({ message: 'Acesso negado' });
     }
     
-    solicitacao.status = aprovado ? 'APROVADO_FINAL' : 'REJEITADA';
-    solicitacao.aprovacaoDiretor = { aprovado, motivo, data: new Date().toISOString() };
-    solicitacao.historico.push({
-      acao: aprovado ? 'Aprovado pelo Diretor' : 'Rejeitado pelo Diretor',
-      motivo,
-      data: new Date().toISOString()
+    res.json({
+      status: normalizarStatus(solicitacao.status),
+      transicoes: transicoesDisponiveis(solicitacao, req.user)
     });
-    
-    await writeData(data);
-    res.json(solicitacao);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Processar solicitação (Compras)
-app.post('/api/solicitacoes/:id/processar-compras', async (req, res) => {
+// Simular cadeia de aprovação da solicitação (valor opcional; padrão: cotação selecionada)
+app.get('/api/solicitacoes/:id/simular-aprovacao', async (req, res) => {
   try {
-    const { processado, observacoes } = req.body;
-    const data = await readData();
-    const solicitacao = data.solicitacoes.find(s => s.id === req.params.id);
+    const solicitacao = await storage.solicitacoes.buscarPorId(req.params.id);
     
     if (!solicitacao) {
       return res.status(404).json({ message: 'Solicitação não encontrada' });
     }
     
-    // Ajustar para novos status
-    const statusEsperado = solicitacao.status === 'APROVADO_FINAL' || solicitacao.status === 'pendente_compras';
-    if (!statusEsperado) {
-      return res.status(400).json({ message: 'Solicitação não está aprovada para compra' });
+    if (!podeVerSolicitacao(req.user, solicitacao)) {
+      return res.status(403).json({ message: 'Acesso negado' });
     }
     
-    solicitacao.status = 'EM_COMPRA';
-    solicitacao.processamentoCompras = { 
-      processado: true, 
-      observacoes, 
-      bilhete: observacoes,
-      data: new Date().toISOString() 
-    };
-    solicitacao.historico.push({
-      acao: 'Marcado como EM_COMPRA por Compras',
-      motivo: observacoes,
-      data: new Date().toISOString()
+    const cotacaoSelecionada = solicitacao.cotacoes?.find(c => c.id === solicitacao.cotacaoSelecionada);
+    const valor = req.query.valor !== undefined ? req.query.valor : cotacaoSelecionada?.precoTotal;
+    
+    if (valor !== undefined && valor !== null && isNaN(parseFloat(valor))) {
+      return res.status(400).json({ message: 'Valor inválido' });
+    }
+    
+    // Com valor conhecido a cadeia é a da seleção de cotação (termina na fila de Compras)
+    const politica = await obterPolitica();
+    const cadeia = montarCadeia(politica, solicitacao, valor);
+    const fluxo = criarFluxo(cadeia, cadeia.contexto.valor !== null ? STATUS.PENDENTE_COMPRAS : STATUS.APROVADO_FINAL);
+    
+    res.json({
+      regraId: cadeia.regraId,
+      regraDescricao: cadeia.regraDescricao,
+      contexto: cadeia.contexto,
+      etapas: cadeia.etapas,
+      statusInicial: statusDoFluxo(fluxo),
+      statusFinal: fluxo.statusFinal
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Aprovar/Rejeitar etapa de aprovação (Gestor, Gerente ou Diretor)
+async function decidirAprovacao(req, res, papel) {
+  try {
+    const { aprovado, motivo } = req.body;
+    const acao = aprovado ? `aprovar_${papel}` : `rejeitar_${papel}`;
+    
+    const resultado = await storage.solicitacoes.atualizar(req.params.id, solicitacao => {
+      if (!solicitacao) {
+        return falha(404, 'Solicitação não encontrada');
+      }
+      
+      const transicao = aplicarTransicao(solicitacao, acao, req.user, { motivo });
+      if (!transicao.sucesso) {
+        return falha(transicao.status, transicao.message);
+      }
+      
+      return { solicitacao };
     });
     
-    await writeData(data);
-    res.json(solicitacao);
+    if (responderFalha(res, resultado)) return;
+    res.json(resultado.solicitacao);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
+}
+
+// Aprovar/Rejeitar solicitação (Gestor) - viagens até R$ 2000 após seleção da cotação
+app.post('/api/solicitacoes/:id/aprovar-gestor', requirePermission('solicitacoes:aprovar_gestor'), (req, res) => {
+  decidirAprovacao(req, res, 'gestor');
 });
 
-// Finalizar compra (Compras) - após emissão
-app.post('/api/solicitacoes/:id/finalizar-compra', async (req, res) => {
+// Aprovar/Rejeitar solicitação (Gerente)
+app.post('/api/solicitacoes/:id/aprovar-gerente', requirePermission('solicitacoes:aprovar_gerente'), (req, res) => {
+  decidirAprovacao(req, res, 'gerente');
+});
+
+// Aprovar/Rejeitar solicitação (Diretor)
+app.post('/api/solicitacoes/:id/aprovar-diretor', requirePermission('solicitacoes:aprovar_diretor'), (req, res) => {
+  decidirAprovacao(req, res, 'diretor');
+});
+
+// Devolver solicitação ao solicitante pedindo ajustes (aprovador da etapa atual)
+app.post('/api/solicitacoes/:id/solicitar-ajuste', requirePermission('solicitacoes:solicitar_ajuste'), async (req, res) => {
   try {
-    const { localizador, companhia, valorFinal, observacoes } = req.body;
-    const data = await readData();
-    const solicitacao = data.solicitacoes.find(s => s.id === req.params.id);
+    const { campos, motivo } = req.body;
     
-    if (!solicitacao) {
-      return res.status(404).json({ message: 'Solicitação não encontrada' });
+    const validacao = validarCamposAjuste(campos);
+    if (!motivo || !String(motivo).trim()) {
+      validacao.erros.push('Motivo é obrigatório');
     }
-    
-    if (solicitacao.status !== 'EM_COMPRA') {
-      return res.status(400).json({ message: 'Solicitação não está em processo de compra' });
+    if (validacao.erros.length > 0) {
+      return res.status(400).json({ message: 'Pedido de ajuste inválido', erros: validacao.erros });
     }
     
-    solicitacao.status = 'COMPRADA';
-    solicitacao.compraFinalizada = {
-      localizador: localizador || '',
-      companhia: companhia || '',
-      valorFinal: parseFloat(valorFinal) || solicitacao.cotacoes?.find(c => c.id === solicitacao.cotacaoSelecionada)?.precoTotal || 0,
-      observacoes: observacoes || '',
-      data: new Date().toISOString()
-    };
+    const resultado = await storage.solicitacoes.atualizar(req.params.id, solicitacao => {
+      if (!solicitacao) {
+        return falha(404, 'Solicitação não encontrada');
+      }
+      
+      const transicao = aplicarTransicao(solicitacao, 'solicitar_ajuste', req.user, {
+        campos,
+        motivo,
+        historico: { campos }
+      });
+      if (!transicao.sucesso) {
+        return falha(transicao.status, transicao.message);
+      }
+      
+      return { solicitacao };
+    });
     
-    solicitacao.historico.push({
-      acao: 'Compra finalizada',
-      motivo: `Localizador: ${localizador || 'N/A'}, Companhia: ${companhia || 'N/A'}`,
-      data: new Date().toISOString()
+    if (responderFalha(res, resultado)) return;
+    res.json(resultado.solicitacao);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Reenviar solicitação ajustada (Solicitante) - só os campos pedidos podem mudar
+app.post('/api/solicitacoes/:id/reenviar', async (req, res) => {
+  try {
+    const { alteracoes = {}, comentario } = req.body;
+    
+    const resultado = await storage.solicitacoes.atualizar(req.params.id, solicitacao => {
+      if (!solicitacao) {
+        return falha(404, 'Solicitação não encontrada');
+      }
+      
+      const verificacao = verificarTransicao(solicitacao, 'reenviar_ajuste', req.user);
+      if (!verificacao.permitido) {
+        return falha(verificacao.status, verificacao.message);
+      }
+      
+      const camposPermitidos = solicitacao.ajusteSolicitado?.campos || CAMPOS_EDITAVEIS;
+      const { erros, diferencas } = aplicarAlteracoes(solicitacao, alteracoes, camposPermitidos);
+      if (erros.length > 0) {
+        return falha(400, 'Alterações inválidas', { erros });
+      }
+      
+      aplicarTransicao(solicitacao, 'reenviar_ajuste', req.user, {
+        motivo: comentario,
+        historico: { alteracoes: diferencas }
+      });
+      
+      return { solicitacao };
     });
     
-    // Integração com Smartsheet
+    if (responderFalha(res, resultado)) return;
+    res.json(resultado.solicitacao);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Processar solicitação (Compras)
+app.post('/api/solicitacoes/:id/processar-compras', requirePermission('solicitacoes:processar_compras'), async (req, res) => {
+  try {
+    const { observacoes } = req.body;
+    
+    const politica = await obterPolitica();
+    const resultado = await storage.solicitacoes.atualizar(req.params.id, solicitacao => {
+      if (!solicitacao) {
+        return falha(404, 'Solicitação não encontrada');
+      }
+      
+      const verificacao = verificarTransicao(solicitacao, 'processar_compras', req.user);
+      if (!verificacao.permitido) {
+        return falha(verificacao.status, verificacao.message);
+      }
+      
+      // Não comprar por um preço reconfirmado acima do aprovado
+      const cotacao = (solicitacao.cotacoes || []).find(c => c.id === solicitacao.cotacaoSelecionada);
+      const verificacaoPreco = cotacao ? verificarPrecoConfirmado(cotacao, toleranciaDePreco(politica)) : null;
+      if (verificacaoPreco && !verificacaoPreco.dentroDaTolerancia) {
+        return falha(409, 'Preço confirmado excede o aprovado além da tolerância. Confirme o preço novamente para reenviar à aprovação.', { verificacaoPreco });
+      }
+      
+      const transicao = aplicarTransicao(solicitacao, 'processar_compras', req.user, { motivo: observacoes });
+      if (!transicao.sucesso) {
+        return falha(transicao.status, transicao.message);
+      }
+      
+      solicitacao.processamentoCompras = { 
+        processado: true, 
+        observacoes, 
+        bilhete: observacoes,
+        responsavelId: req.user.id,
+        responsavelNome: req.user.name,
+        data: new Date().toISOString() 
+      };
+      
+      return { solicitacao };
+    });
+    
+    if (responderFalha(res, resultado)) return;
+    res.json(resultado.solicitacao);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Finalizar compra (Compras) - após emissão
+app.post('/api/solicitacoes/:id/finalizar-compra', requirePermission('solicitacoes:processar_compras'), async (req, res) => {
+  try {
+    const { localizador, companhia, valorFinal, observacoes } = req.body;
+    
+    const resultado = await storage.solicitacoes.atualizar(req.params.id, solicitacao => {
+      if (!solicitacao) {
+        return falha(404, 'Solicitação não encontrada');
+      }
+      
+      const transicao = aplicarTransicao(solicitacao, 'finalizar_compra', req.user, {
+        motivo: `Localizador: ${localizador || 'N/A'}, Companhia: ${companhia || 'N/A'}`
+      });
+      if (!transicao.sucesso) {
+        return falha(transicao.status, transicao.message);
+      }
+      
+      solicitacao.compraFinalizada = {
+        localizador: localizador || '',
+        companhia: companhia ? nomeDaCompanhia(companhia) : '',
+        codigoCompanhia: obterCompanhia(companhia)?.iata || null,
+        valorFinal: parseFloat(valorFinal) || solicitacao.cotacoes?.find(c => c.id === solicitacao.cotacaoSelecionada)?.precoTotal || 0,
+        observacoes: observacoes || '',
+        responsavelId: req.user.id,
+        responsavelNome: req.user.name,
+        data: new Date().toISOString()
+      };
+      
+      return { solicitacao };
+    });
+    
+    if (responderFalha(res, resultado)) return;
+    
+    // Integração com Smartsheet (depois de gravar, para não segurar a fila de escrita)
     try {
       const { integrarSmartsheet } = require('./smartsheetService');
-      await integrarSmartsheet(solicitacao);
+      await integrarSmartsheet(resultado.solicitacao);
     } catch (error) {
       console.error('[API] Erro ao integrar com Smartsheet:', error.message);
       // Não falhar a requisição se Smartsheet falhar
     }
     
-    await writeData(data);
-    res.json(solicitacao);
+    res.json(resultado.solicitacao);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -415,40 +715,51 @@ app.post('/api/solicitacoes/:id/anexos', upload.single('arquivo'), async (req, r
       return res.status(400).json({ message: 'Nenhum arquivo enviado' });
     }
     
-    const data = await readData();
-    const solicitacao = data.solicitacoes.find(s => s.id === req.params.id);
+    const resultado = await storage.solicitacoes.atualizar(req.params.id, solicitacao => {
+      if (!solicitacao) {
+        return falha(404, 'Solicitação não encontrada');
+      }
+      
+      // Apenas o solicitante ou Compras podem anexar arquivos
+      if (!ehSolicitante(req.user, solicitacao) && !temPermissao(req.user.role, 'anexos:gerenciar')) {
+        return falha(403, 'Acesso negado');
+      }
+      
+      if (!solicitacao.anexos) {
+        solicitacao.anexos = [];
+      }
+      
+      const anexo = {
+        id: `anexo-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        nome: req.file.originalname,
+        nomeArquivo: req.file.filename,
+        caminho: req.file.path,
+        tipo: req.file.mimetype,
+        tamanho: req.file.size,
+        uploadPor: req.user.name,
+        uploadPorId: req.user.id,
+        data: new Date().toISOString()
+      };
+      
+      solicitacao.anexos.push(anexo);
+      
+      solicitacao.historico.push({
+        acao: 'Anexo adicionado',
+        motivo: `Arquivo: ${req.file.originalname}`,
+        usuario: req.user.name,
+        data: new Date().toISOString()
+      });
+      
+      return { anexo, solicitacao };
+    });
     
-    if (!solicitacao) {
-      // Deletar arquivo se solicitação não existir
+    if (resultado.falha) {
+      // Deletar arquivo se a solicitação não existir ou o usuário não puder anexar
       require('fs').unlinkSync(req.file.path);
-      return res.status(404).json({ message: 'Solicitação não encontrada' });
-    }
-    
-    if (!solicitacao.anexos) {
-      solicitacao.anexos = [];
+      return responderFalha(res, resultado);
     }
     
-    const anexo = {
-      id: `anexo-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      nome: req.file.originalname,
-      nomeArquivo: req.file.filename,
-      caminho: req.file.path,
-      tipo: req.file.mimetype,
-      tamanho: req.file.size,
-      uploadPor: req.body.uploadPor || 'sistema',
-      data: new Date().toISOString()
-    };
-    
-    solicitacao.anexos.push(anexo);
-    
-    solicitacao.historico.push({
-      acao: 'Anexo adicionado',
-      motivo: `Arquivo: ${req.file.originalname}`,
-      data: new Date().toISOString()
-    });
-    
-    await writeData(data);
-    res.json({ anexo, solicitacao });
+    res.json(resultado);
   } catch (error) {
     if (req.file) {
       require('fs').unlinkSync(req.file.path);
@@ -460,13 +771,16 @@ app.post('/api/solicitacoes/:id/anexos', upload.single('arquivo'), async (req, r
 // Listar anexos de uma solicitação
 app.get('/api/solicitacoes/:id/anexos', async (req, res) => {
   try {
-    const data = await readData();
-    const solicitacao = data.solicitacoes.find(s => s.id === req.params.id);
+    const solicitacao = await storage.solicitacoes.buscarPorId(req.params.id);
     
     if (!solicitacao) {
       return res.status(404).json({ message: 'Solicitação não encontrada' });
     }
     
+    if (!podeVerSolicitacao(req.user, solicitacao)) {
+      return res.status(403).json({ message: 'Acesso negado' });
+    }
+    
     res.json(solicitacao.anexos || []);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -476,13 +790,16 @@ app.get('/api/solicitacoes/:id/anexos', async (req, res) => {
 // Download de anexo
 app.get('/api/solicitacoes/:id/anexos/:anexoId/download', async (req, res) => {
   try {
-    const data = await readData();
-    const solicitacao = data.solicitacoes.find(s => s.id === req.params.id);
+    const solicitacao = await storage.solicitacoes.buscarPorId(req.params.id);
     
     if (!solicitacao) {
       return res.status(404).json({ message: 'Solicitação não encontrada' });
     }
     
+    if (!podeVerSolicitacao(req.user, solicitacao)) {
+      return res.status(403).json({ message: 'Acesso negado' });
+    }
+    
     const anexo = solicitacao.anexos?.find(a => a.id === req.params.anexoId);
     if (!anexo) {
       return res.status(404).json({ message: 'Anexo não encontrado' });
@@ -495,26 +812,28 @@ app.get('/api/solicitacoes/:id/anexos/:anexoId/download', async (req, res) => {
 });
 
 // Estatísticas
-app.get('/api/estatisticas', async (req, res) => {
+app.get('/api/estatisticas', requirePermission('estatisticas:ver'), async (req, res) => {
   try {
-    const data = await readData();
-    const solicitacoes = data.solicitacoes;
+    const solicitacoes = await storage.solicitacoes.listar();
+    
+    const contar = (...status) => solicitacoes.filter(s => status.includes(normalizarStatus(s.status))).length;
     
     const stats = {
       total: solicitacoes.length,
-      pendenteCotacao: solicitacoes.filter(s => s.status === 'PENDENTE_COTACAO' || s.status === 'pendente_cotacao').length,
-      aguardandoEscolha: solicitacoes.filter(s => s.status === 'AGUARDANDO_ESCOLHA' || s.status === 'aguardando_escolha').length,
-      aguardandoAprovacao: solicitacoes.filter(s => s.status === 'AGUARDANDO_APROVACAO' || s.status === 'aguardando_aprovacao').length,
-      pendenteGestor: solicitacoes.filter(s => s.status === 'PENDENTE_GESTOR' || s.status === 'pendente_gestor').length,
-      pendenteGerente: solicitacoes.filter(s => s.status === 'PENDENTE_GERENTE' || s.status === 'pendente_gerente').length,
-      pendenteDiretor: solicitacoes.filter(s => s.status === 'PENDENTE_DIRETOR' || s.status === 'pendente_diretor').length,
-      pendenteCompras: solicitacoes.filter(s => s.status === 'PENDENTE_COMPRAS' || s.status === 'pendente_compras' || s.status === 'PENDENTE_COTACAO' || s.status === 'pendente_cotacao' || s.status === 'EM_COMPRA' || s.status === 'em_compra').length,
-      emCompra: solicitacoes.filter(s => s.status === 'EM_COMPRA' || s.status === 'em_compra').length,
-      compradas: solicitacoes.filter(s => s.status === 'COMPRADA' || s.status === 'comprada').length,
-      aprovadas: solicitacoes.filter(s => s.status === 'APROVADO_FINAL' || s.status === 'aprovado_final' || s.status === 'processada' || s.status === 'PROCESSADA' || s.status === 'COMPRADA' || s.status === 'comprada').length,
-      rejeitadas: solicitacoes.filter(s => s.status === 'REJEITADA' || s.status === 'rejeitada').length,
-      processadas: solicitacoes.filter(s => s.status === 'processada' || s.status === 'PROCESSADA' || s.status === 'COMPRADA' || s.status === 'comprada').length,
-      ajusteSolicitado: solicitacoes.filter(s => s.status === 'AJUSTE_SOLICITADO' || s.status === 'ajuste_solicitado').length
+      pendenteCotacao: contar(STATUS.PENDENTE_COTACAO),
+      aguardandoEscolha: contar(STATUS.AGUARDANDO_ESCOLHA),
+      aguardandoAprovacao: contar(STATUS.AGUARDANDO_APROVACAO),
+      pendenteGestor: contar(STATUS.PENDENTE_GESTOR),
+      pendenteGerente: contar(STATUS.PENDENTE_GERENTE),
+      pendenteDiretor: contar(STATUS.PENDENTE_DIRETOR),
+      pendenteCompras: contar(STATUS.PENDENTE_COMPRAS, STATUS.PENDENTE_COTACAO, STATUS.EM_COMPRA),
+      emCompra: contar(STATUS.EM_COMPRA),
+      compradas: contar(STATUS.COMPRADA),
+      aprovadas: contar(STATUS.APROVADO_FINAL, STATUS.COMPRADA),
+      rejeitadas: contar(STATUS.REJEITADA),
+      canceladas: contar(STATUS.CANCELADA),
+      processadas: contar(STATUS.COMPRADA),
+      ajusteSolicitado: contar(STATUS.AJUSTE_SOLICITADO)
     };
     
     // Calcular valor total estimado do mês
@@ -535,32 +854,197 @@ app.get('/api/estatisticas', async (req, res) => {
     
     stats.valorTotalEstimadoMes = valorTotalEstimado;
     
+    // Por companhia ("GOL", "G3" e "Gol Linhas Aéreas" contam como a mesma)
+    stats.porCompanhia = resumoPorCompanhia(solicitacoes);
+    
     res.json(stats);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// ============================================
+// POLÍTICA DE APROVAÇÃO
+// ============================================
+
+// Obter política de aprovação vigente
+app.get('/api/politica-aprovacao', requirePermission('politica:gerenciar'), async (req, res) => {
+  try {
+    res.json(await obterPolitica());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Atualizar política de aprovação
+app.put('/api/politica-aprovacao', requirePermission('politica:gerenciar'), async (req, res) => {
+  try {
+    const { regras, etapasPadrao, toleranciaPrecoPercentual } = req.body;
+    const validacao = validarPolitica({ regras, etapasPadrao, toleranciaPrecoPercentual });
+    if (!validacao.valida) {
+      return res.status(400).json({ message: 'Política inválida', erros: validacao.erros });
+    }
+    
+    // Solicitações já roteadas mantêm a cadeia com que foram iniciadas
+    const politica = await storage.configuracoes.atualizar('politicaAprovacao', atual => ({
+      versao: ((atual || POLITICA_PADRAO).versao || 0) + 1,
+      regras,
+      etapasPadrao,
+      toleranciaPrecoPercentual: toleranciaPrecoPercentual ?? toleranciaDePreco(atual),
+      atualizadoPor: req.user.name,
+      atualizadoEm: new Date().toISOString()
+    }));
+    
+    res.json(politica);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// ============================================
+// ENDPOINTS DE VOOS
+// ============================================
+
+// Autocomplete de cidades e aeroportos
+// GET /api/aeroportos?q=sao&limite=10
+app.get('/api/aeroportos', (req, res) => {
+  try {
+    const { q, limite } = req.query;
+    if (typeof q !== 'string') {
+      return res.status(400).json({ message: 'Informe o parâmetro q' });
+    }
+    
+    res.json(buscarAeroportos(q, Math.min(parseInt(limite, 10) || 10, 50)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Autocomplete de companhias aéreas (código IATA/ICAO ou nome)
+// GET /api/companhias?q=gol&limite=10
+app.get('/api/companhias', (req, res) => {
+  try {
+    const { q, limite } = req.query;
+    if (typeof q !== 'string') {
+      return res.status(400).json({ message: 'Informe o parâmetro q' });
+    }
+    
+    res.json(buscarCompanhias(q, Math.min(parseInt(limite, 10) || 10, 50)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Buscar voos nas APIs configuradas (Compras)
+// GET /api/voos/buscar?origem=GRU&destino=GIG&dataIda=YYYY-MM-DD&dataVolta=YYYY-MM-DD&semCache=true
+// Preferências opcionais: adultos, criancas, bebes, cabine (ECONOMY, PREMIUM_ECONOMY, BUSINESS, FIRST),
+// somenteDiretos=true, maxEscalas, companhias (preferidas, ex.: LA,G3), excluirCompanhias, precoMaximo
+// semCache=true ignora o cache de resultados e consulta os provedores de novo (só Compras)
+app.get('/api/voos/buscar', requirePermission('voos:buscar'), async (req, res) => {
+  try {
+    const semCache = req.query.semCache === 'true';
+    if (semCache && !temPermissao(req.user.role, 'voos:ignorar_cache')) {
+      return res.status(403).json({ message: 'Acesso negado' });
+    }
+    
+    const validacao = validarBusca(req.query);
+    if (!validacao.valida) {
+      return res.status(400).json({ message: 'Parâmetros de busca inválidos', erros: validacao.erros });
+    }
+    
+    const parametros = {
+      origem: req.query.origem.trim(),
+      destino: req.query.destino.trim(),
+      dataIda: req.query.dataIda.trim(),
+      dataVolta: req.query.dataVolta ? req.query.dataVolta.trim() : null,
+      preferencias: normalizarPreferencias(req.query)
+    };
+    
+    const { voos, estatisticas, cache } = await searchFlights(
+      parametros.origem,
+      parametros.destino,
+      parametros.dataIda,
+      parametros.dataVolta,
+      parametros.preferencias,
+      { semCache }
+    );
+    
+    // Guardar a busca para que os voos possam virar cotações (POST /api/solicitacoes/:id/cotacoes/da-busca)
+    const busca = registrarBusca(parametros, voos, estatisticas, req.user);
+    res.json({ buscaId: busca.id, expiraEm: busca.expiraEm, parametros, voos, estatisticas, cache });
+  } catch (error) {
+    console.error('[API] Erro ao buscar voos:', error.message);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Calendário de tarifas: menor preço de cada combinação de datas a até ±dias das datas pedidas
+// GET /api/voos/calendario?origem=GRU&destino=GIG&dataIda=YYYY-MM-DD&dataVolta=YYYY-MM-DD&dias=2
+// Aceita as mesmas preferências da busca; sempre usa o cache (cada célula é uma busca nos provedores)
+app.get('/api/voos/calendario', requirePermission('voos:buscar'), async (req, res) => {
+  try {
+    const dias = req.query.dias === undefined ? 1 : Number(req.query.dias);
+    const validacao = validarBusca(req.query);
+    const erros = [...validacao.erros, ...validarDias(dias).erros];
+    if (erros.length > 0) {
+      return res.status(400).json({ message: 'Parâmetros de busca inválidos', erros });
+    }
+    
+    const parametros = {
+      origem: req.query.origem.trim(),
+      destino: req.query.destino.trim(),
+      dataIda: req.query.dataIda.trim(),
+      dataVolta: req.query.dataVolta ? req.query.dataVolta.trim() : null,
+      preferencias: normalizarPreferencias(req.query)
+    };
+    
+    res.json(await montarCalendario(parametros, { dias }));
+  } catch (error) {
+    console.error('[API] Erro ao montar calendário de tarifas:', error.message);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Situação dos provedores de voos (circuito, taxa de erro, latência p95, últimos sucessos/falhas)
+// GET /api/voos/provedores/status?testar=true → também consulta cada provedor ao vivo (Diretoria)
+app.get('/api/voos/provedores/status', requirePermission('voos:status'), async (req, res) => {
+  try {
+    const testar = req.query.testar === 'true';
+    if (testar && !temPermissao(req.user.role, 'voos:testar_provedores')) {
+      return res.status(403).json({ message: 'Acesso negado' });
+    }
+    
+    const provedores = await statusDosProvedores({ testar });
+    res.json({ provedores, geradoEm: new Date().toISOString() });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // ============================================
 // ENDPOINTS DE COTAÇÕES
 // ============================================
 
+// Cotações só entram enquanto a solicitação está na etapa de cotação/escolha
+const STATUS_ACEITAM_COTACAO = [STATUS.PENDENTE_COTACAO, STATUS.AGUARDANDO_ESCOLHA];
+
+function recusarCotacao(solicitacao) {
+  const status = normalizarStatus(solicitacao.status);
+  return STATUS_ACEITAM_COTACAO.includes(status)
+    ? null
+    : falha(409, `Solicitação com status ${status} não aceita novas cotações`);
+}
+
 // Adicionar cotação a uma solicitação (Compras)
-app.post('/api/solicitacoes/:id/cotacoes', async (req, res) => {
+app.post('/api/solicitacoes/:id/cotacoes', requirePermission('cotacoes:gerenciar'), async (req, res) => {
   try {
     const { id } = req.params;
     const dadosCotacao = req.body;
-    const data = await readData();
-    const solicitacao = data.solicitacoes.find(s => s.id === id);
-    
-    if (!solicitacao) {
-      return res.status(404).json({ message: 'Solicitação não encontrada' });
-    }
     
     // Criar cotação
     const cotacao = criarCotacao({
       ...dadosCotacao,
-      criadoPor: req.body.criadoPor || 'compras',
+      criadoPor: req.user.name,
       criadoEm: new Date().toISOString()
     });
     
@@ -570,27 +1054,106 @@ app.post('/api/solicitacoes/:id/cotacoes', async (req, res) => {
       return res.status(400).json({ message: 'Cotação inválida', erros: validacao.erros });
     }
     
-    // Inicializar array de cotações se não existir
-    if (!solicitacao.cotacoes) {
-      solicitacao.cotacoes = [];
+    const resultado = await storage.solicitacoes.atualizar(id, solicitacao => {
+      if (!solicitacao) {
+        return falha(404, 'Solicitação não encontrada');
+      }
+      
+      const recusa = recusarCotacao(solicitacao);
+      if (recusa) {
+        return recusa;
+      }
+      
+      // Inicializar array de cotações se não existir
+      if (!solicitacao.cotacoes) {
+        solicitacao.cotacoes = [];
+      }
+      
+      // Adicionar cotação
+      solicitacao.cotacoes.push(cotacao);
+      
+      // Atualizar status se for a primeira cotação
+      if (normalizarStatus(solicitacao.status) === STATUS.PENDENTE_COTACAO && solicitacao.cotacoes.length === 1) {
+        aplicarTransicao(solicitacao, 'receber_cotacoes', req.user);
+      }
+      
+      return { solicitacao };
+    });
+    
+    if (responderFalha(res, resultado)) return;
+    res.json({ cotacao: formatarCotacao(cotacao), solicitacao: resultado.solicitacao });
+  } catch (error) {
+    console.error('[API] Erro ao adicionar cotação:', error.message);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Criar cotações a partir de voos de uma busca (Compras)
+// Body: { buscaId, vooIds: [...], validade?, observacoes? }
+app.post('/api/solicitacoes/:id/cotacoes/da-busca', requirePermission('cotacoes:gerenciar'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { buscaId, vooIds, validade, observacoes } = req.body;
+    
+    if (!buscaId || !Array.isArray(vooIds) || vooIds.length === 0) {
+      return res.status(400).json({ message: 'Informe buscaId e ao menos um voo em vooIds' });
     }
     
-    // Adicionar cotação
-    solicitacao.cotacoes.push(cotacao);
+    const busca = obterBusca(buscaId);
+    if (!busca) {
+      return res.status(404).json({ message: 'Busca não encontrada ou expirada. Faça uma nova busca.' });
+    }
     
-    // Atualizar status se for a primeira cotação
-    if (solicitacao.status === 'PENDENTE_COTACAO' && solicitacao.cotacoes.length === 1) {
-      solicitacao.status = 'AGUARDANDO_ESCOLHA';
-      solicitacao.historico.push({
-        acao: 'Cotações adicionadas por Compras',
-        data: new Date().toISOString()
-      });
+    const naoEncontrados = vooIds.filter(vooId => !busca.voos.some(v => v.id === vooId));
+    if (naoEncontrados.length > 0) {
+      return res.status(400).json({ message: 'Voo(s) não encontrado(s) na busca', vooIds: naoEncontrados });
     }
     
-    await writeData(data);
-    res.json({ cotacao: formatarCotacao(cotacao), solicitacao });
+    // Montar e validar todas as cotações antes de gravar qualquer uma
+    const cotacoes = [...new Set(vooIds)].map(vooId => criarCotacao({
+      ...cotacaoDeVoo(busca.voos.find(v => v.id === vooId), busca),
+      validade,
+      observacoes,
+      criadoPor: req.user.name,
+      criadoEm: new Date().toISOString()
+    }));
+    
+    const invalidas = cotacoes
+      .map(cotacao => ({ vooId: cotacao.parametrosBusca.vooId, erros: validarCotacao(cotacao).erros }))
+      .filter(resultado => resultado.erros.length > 0);
+    if (invalidas.length > 0) {
+      return res.status(400).json({ message: 'Cotação inválida', erros: invalidas });
+    }
+    
+    const resultado = await storage.solicitacoes.atualizar(id, solicitacao => {
+      if (!solicitacao) {
+        return falha(404, 'Solicitação não encontrada');
+      }
+      
+      const recusa = recusarCotacao(solicitacao);
+      if (recusa) {
+        return recusa;
+      }
+      
+      if (!solicitacao.cotacoes) {
+        solicitacao.cotacoes = [];
+      }
+      
+      const primeiras = solicitacao.cotacoes.length === 0;
+      solicitacao.cotacoes.push(...cotacoes);
+      
+      // Atualizar status se forem as primeiras cotações
+      if (normalizarStatus(solicitacao.status) === STATUS.PENDENTE_COTACAO && primeiras) {
+        aplicarTransicao(solicitacao, 'receber_cotacoes', req.user);
+      }
+      
+      return { solicitacao };
+    });
+    
+    if (responderFalha(res, resultado)) return;
+    res.json({ cotacoes: cotacoes.map(formatarCotacao), solicitacao: resultado.solicitacao });
   } catch (error) {
-    console.error('[API] Erro ao adicionar cotação:', error.message);
+    console.error('[API] Erro ao criar cotações da busca:', error.message);
     res.status(500).json({ message: error.message });
   }
 });
@@ -598,13 +1161,16 @@ app.post('/api/solicitacoes/:id/cotacoes', async (req, res) => {
 // Listar cotações de uma solicitação
 app.get('/api/solicitacoes/:id/cotacoes', async (req, res) => {
   try {
-    const data = await readData();
-    const solicitacao = data.solicitacoes.find(s => s.id === req.params.id);
+    const solicitacao = await storage.solicitacoes.buscarPorId(req.params.id);
     
     if (!solicitacao) {
       return res.status(404).json({ message: 'Solicitação não encontrada' });
     }
     
+    if (!podeVerSolicitacao(req.user, solicitacao)) {
+      return res.status(403).json({ message: 'Acesso negado' });
+    }
+    
     const cotacoes = (solicitacao.cotacoes || []).map(formatarCotacao);
     res.json(cotacoes);
   } catch (error) {
@@ -613,97 +1179,258 @@ app.get('/api/solicitacoes/:id/cotacoes', async (req, res) => {
 });
 
 // Selecionar cotação (Solicitante)
-app.post('/api/solicitacoes/:id/cotacoes/:cotacaoId/selecionar', async (req, res) => {
+app.post('/api/solicitacoes/:id/cotacoes/:cotacaoId/selecionar', requirePermission('cotacoes:selecionar'), async (req, res) => {
   try {
     const { id, cotacaoId } = req.params;
-    const data = await readData();
-    const solicitacao = data.solicitacoes.find(s => s.id === id);
     
-    if (!solicitacao) {
-      return res.status(404).json({ message: 'Solicitação não encontrada' });
-    }
+    const politica = await obterPolitica();
+    const resultado = await storage.solicitacoes.atualizar(id, solicitacao => {
+      if (!solicitacao) {
+        return falha(404, 'Solicitação não encontrada');
+      }
+      
+      // A escolha da cotação é do próprio solicitante
+      if (!ehSolicitante(req.user, solicitacao)) {
+        return falha(403, 'Apenas o solicitante pode selecionar a cotação');
+      }
+      
+      if (!solicitacao.cotacoes || solicitacao.cotacoes.length === 0) {
+        return falha(400, 'Nenhuma cotação disponível');
+      }
+      
+      const cotacao = solicitacao.cotacoes.find(c => c.id === cotacaoId);
+      if (!cotacao) {
+        return falha(404, 'Cotação não encontrada');
+      }
+      
+      // Verificar se cotação está válida
+      const { cotacaoValida: verificarValidade } = require('./cotacoesService');
+      if (!verificarValidade(cotacao)) {
+        return falha(400, 'Cotação expirada. Solicite nova cotação.');
+      }
+      
+      // Preço reconfirmado na API acima da tolerância da política
+      const verificacaoPreco = verificarPrecoConfirmado(cotacao, toleranciaDePreco(politica));
+      if (!verificacaoPreco.dentroDaTolerancia) {
+        return falha(409, 'Preço confirmado excede o cotado além da tolerância. Solicite nova cotação.', { verificacaoPreco });
+      }
+      
+      // Roteamento de aprovação conforme a política vigente (valor, destino, urgência...)
+      const cadeia = montarCadeia(politica, solicitacao, cotacao.precoTotal);
+      
+      const transicao = aplicarTransicao(solicitacao, 'selecionar_cotacao', req.user, {
+        cadeia,
+        historico: { cotacao: cotacao.companhia, valor: cotacao.precoTotal, regra: cadeia.regraDescricao }
+      });
+      if (!transicao.sucesso) {
+        return falha(transicao.status, transicao.message);
+      }
+      
+      // Desselecionar outras cotações
+      solicitacao.cotacoes.forEach(c => c.selecionada = false);
+      
+      // Selecionar cotação
+      cotacao.selecionada = true;
+      solicitacao.cotacaoSelecionada = cotacaoId;
+      
+      return { solicitacao };
+    });
+    
+    if (responderFalha(res, resultado)) return;
+    res.json(resultado.solicitacao);
+  } catch (error) {
+    console.error('[API] Erro ao selecionar cotação:', error.message);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Reconfirmar na API o preço da oferta original de uma cotação (Compras)
+// Se a cotação já escolhida ficou mais cara que o aprovado além da tolerância, volta para aprovação
+app.post('/api/solicitacoes/:id/cotacoes/:cotacaoId/confirmar-preco', requirePermission('cotacoes:gerenciar'), async (req, res) => {
+  try {
+    const { id, cotacaoId } = req.params;
     
-    if (!solicitacao.cotacoes || solicitacao.cotacoes.length === 0) {
-      return res.status(400).json({ message: 'Nenhuma cotação disponível' });
+    const atual = await storage.solicitacoes.buscarPorId(id);
+    if (!atual) {
+      return res.status(404).json({ message: 'Solicitação não encontrada' });
     }
     
-    const cotacao = solicitacao.cotacoes.find(c => c.id === cotacaoId);
-    if (!cotacao) {
+    const original = (atual.cotacoes || []).find(c => c.id === cotacaoId);
+    if (!original) {
       return res.status(404).json({ message: 'Cotação não encontrada' });
     }
     
-    // Verificar se cotação está válida
-    const { cotacaoValida: verificarValidade } = require('./cotacoesService');
-    if (!verificarValidade(cotacao)) {
-      return res.status(400).json({ message: 'Cotação expirada. Solicite nova cotação.' });
+    if (!original.ofertaOriginal) {
+      return res.status(400).json({ message: 'Cotação sem oferta original da API; não é possível confirmar o preço' });
     }
     
-    // Desselecionar outras cotações
-    solicitacao.cotacoes.forEach(c => c.selecionada = false);
+    // Só a Amadeus confirma preço (Flight Offers Price); a oferta de outra fonte não é aceita por ela
+    if (original.fonte !== 'AMADEUS') {
+      return res.status(400).json({ message: `Confirmação de preço disponível apenas para cotações da Amadeus (fonte: ${original.fonte || 'não informada'})` });
+    }
     
-    // Selecionar cotação
-    cotacao.selecionada = true;
-    solicitacao.cotacaoSelecionada = cotacaoId;
-    solicitacao.status = 'AGUARDANDO_APROVACAO';
+    // Chamada externa fora da transação para não segurar as demais gravações
+    // Falha do provedor (oferta expirada, indisponibilidade...) é 502, com a mensagem da Amadeus
+    let confirmacao;
+    try {
+      confirmacao = await confirmFlightPrice(original.ofertaOriginal);
+    } catch (error) {
+      console.error('[API] Amadeus não confirmou o preço:', error.message);
+      return res.status(502).json({ message: error.message, provedor: 'AMADEUS' });
+    }
     
-    // Calcular valor para roteamento de aprovação
-    const valorTotal = cotacao.precoTotal;
-    let proximoStatus = 'PENDENTE_GESTOR';
+    const politica = await obterPolitica();
+    const resultado = await storage.solicitacoes.atualizar(id, solicitacao => {
+      const cotacao = (solicitacao?.cotacoes || []).find(c => c.id === cotacaoId);
+      if (!cotacao) {
+        return falha(404, 'Cotação não encontrada');
+      }
+      
+      registrarConfirmacaoPreco(cotacao, confirmacao, req.user);
+      const verificacaoPreco = verificarPrecoConfirmado(cotacao, toleranciaDePreco(politica));
+      let reaprovacao = false;
+      
+      if (!verificacaoPreco.dentroDaTolerancia && solicitacao.cotacaoSelecionada === cotacao.id &&
+          verificarTransicao(solicitacao, 'reaprovar_preco', req.user).permitido) {
+        const cadeia = montarCadeia(politica, solicitacao, verificacaoPreco.precoConfirmado);
+        aplicarTransicao(solicitacao, 'reaprovar_preco', req.user, {
+          cadeia,
+          historico: {
+            cotacao: cotacao.companhia,
+            valorAprovado: verificacaoPreco.precoAprovado,
+            valor: verificacaoPreco.precoConfirmado,
+            regra: cadeia.regraDescricao
+          }
+        });
+        // O novo preço é o que será aprovado
+        cotacao.precoTotal = verificacaoPreco.precoConfirmado;
+        reaprovacao = true;
+      }
+      
+      return { cotacao, verificacaoPreco, reaprovacao, solicitacao };
+    });
     
-    // Roteamento por valor (ajustar valores conforme necessário)
-    if (valorTotal > 5000) {
-      proximoStatus = 'PENDENTE_DIRETOR'; // Acima de R$ 5000 → Diretor
-    } else if (valorTotal > 2000) {
-      proximoStatus = 'PENDENTE_GERENTE'; // Acima de R$ 2000 → Gerente
-    }
-    // Até R$ 2000 → Gestor (padrão)
+    if (responderFalha(res, resultado)) return;
     
-    solicitacao.status = proximoStatus;
+    // Preço confirmado diferente do encontrado na busca: o resultado em cache dessa busca está velho
+    const { precoCotado, precoConfirmado } = resultado.cotacao.confirmacaoPreco;
+    const cacheInvalidado = Boolean(resultado.cotacao.parametrosBusca) &&
+      Math.abs(precoConfirmado - precoCotado) >= 0.01 &&
+      invalidarCache(resultado.cotacao.parametrosBusca);
     
-    solicitacao.historico.push({
-      acao: 'Cotação selecionada pelo solicitante',
-      cotacao: cotacao.companhia,
-      valor: cotacao.precoTotal,
-      data: new Date().toISOString()
+    res.json({
+      cotacao: formatarCotacao(resultado.cotacao),
+      verificacaoPreco: resultado.verificacaoPreco,
+      reaprovacao: resultado.reaprovacao,
+      cacheInvalidado,
+      solicitacao: resultado.solicitacao
     });
-    
-    await writeData(data);
-    res.json(solicitacao);
   } catch (error) {
-    console.error('[API] Erro ao selecionar cotação:', error.message);
+    console.error('[API] Erro ao confirmar preço:', error.message);
     res.status(500).json({ message: error.message });
   }
 });
 
-// Remover cotação (Compras)
-app.delete('/api/solicitacoes/:id/cotacoes/:cotacaoId', async (req, res) => {
+// Anexar à solicitação o calendário de tarifas das datas da viagem (evidência para o relatório de economia)
+// Body: { dias, ...preferências }; sem dias, usa o número informado em flexibilidade (ou 1)
+app.post('/api/solicitacoes/:id/calendario-precos', requirePermission('cotacoes:gerenciar'), async (req, res) => {
   try {
-    const { id, cotacaoId } = req.params;
-    const data = await readData();
-    const solicitacao = data.solicitacoes.find(s => s.id === id);
-    
-    if (!solicitacao) {
+    const atual = await storage.solicitacoes.buscarPorId(req.params.id);
+    if (!atual) {
       return res.status(404).json({ message: 'Solicitação não encontrada' });
     }
     
-    if (!solicitacao.cotacoes) {
-      return res.status(400).json({ message: 'Nenhuma cotação disponível' });
+    const diasFlexibilidade = parseInt(String(atual.flexibilidade || '').match(/\d+/)?.[0], 10);
+    const dias = req.body.dias !== undefined ? Number(req.body.dias) : Math.min(diasFlexibilidade || 1, MAX_DIAS);
+    const busca = {
+      ...req.body,
+      origem: atual.origem,
+      destino: atual.destino,
+      dataIda: atual.dataIda,
+      dataVolta: atual.dataVolta || undefined
+    };
+    const validacao = validarBusca(busca);
+    const erros = [...validacao.erros, ...validarDias(dias).erros];
+    if (erros.length > 0) {
+      return res.status(400).json({ message: 'Dados da viagem inválidos para a busca', erros });
     }
     
-    const index = solicitacao.cotacoes.findIndex(c => c.id === cotacaoId);
-    if (index === -1) {
-      return res.status(404).json({ message: 'Cotação não encontrada' });
-    }
+    // Buscas externas fora da transação para não segurar as demais gravações
+    const calendario = await montarCalendario({
+      origem: atual.origem,
+      destino: atual.destino,
+      dataIda: atual.dataIda,
+      dataVolta: atual.dataVolta || null,
+      preferencias: normalizarPreferencias(req.body)
+    }, { dias });
+    
+    const resultado = await storage.solicitacoes.atualizar(req.params.id, solicitacao => {
+      if (!solicitacao) {
+        return falha(404, 'Solicitação não encontrada');
+      }
+      
+      solicitacao.calendarioPrecos = {
+        ...calendario,
+        geradoPorId: req.user.id,
+        geradoPorNome: req.user.name
+      };
+      
+      // Solicitações antigas/importadas podem não ter histórico
+      if (!solicitacao.historico) {
+        solicitacao.historico = [];
+      }
+      solicitacao.historico.push({
+        acao: 'Calendário de tarifas anexado',
+        motivo: calendario.economiaPotencial !== null
+          ? `Economia potencial de ${calendario.moeda} ${calendario.economiaPotencial} trocando as datas (±${dias} dia(s))`
+          : `Datas flexíveis (±${dias} dia(s))`,
+        usuario: req.user.name,
+        usuarioId: req.user.id,
+        data: new Date().toISOString()
+      });
+      
+      return { calendario: solicitacao.calendarioPrecos, solicitacao };
+    });
     
-    solicitacao.cotacoes.splice(index, 1);
+    if (responderFalha(res, resultado)) return;
+    res.json(resultado);
+  } catch (error) {
+    console.error('[API] Erro ao anexar calendário de tarifas:', error.message);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remover cotação (Compras)
+app.delete('/api/solicitacoes/:id/cotacoes/:cotacaoId', requirePermission('cotacoes:gerenciar'), async (req, res) => {
+  try {
+    const { id, cotacaoId } = req.params;
     
-    // Se não houver mais cotações, voltar para PENDENTE_COTACAO
-    if (solicitacao.cotacoes.length === 0) {
-      solicitacao.status = 'PENDENTE_COTACAO';
-    }
+    const resultado = await storage.solicitacoes.atualizar(id, solicitacao => {
+      if (!solicitacao) {
+        return falha(404, 'Solicitação não encontrada');
+      }
+      
+      if (!solicitacao.cotacoes) {
+        return falha(400, 'Nenhuma cotação disponível');
+      }
+      
+      const index = solicitacao.cotacoes.findIndex(c => c.id === cotacaoId);
+      if (index === -1) {
+        return falha(404, 'Cotação não encontrada');
+      }
+      
+      solicitacao.cotacoes.splice(index, 1);
+      
+      // Se não houver mais cotações, voltar para PENDENTE_COTACAO
+      if (solicitacao.cotacoes.length === 0 && normalizarStatus(solicitacao.status) !== STATUS.PENDENTE_COTACAO) {
+        aplicarTransicao(solicitacao, 'remover_cotacoes', req.user);
+      }
+      
+      return { solicitacao };
+    });
     
-    await writeData(data);
-    res.json(solicitacao);
+    if (responderFalha(res, resultado)) return;
+    res.json(resultado.solicitacao);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -717,12 +1444,23 @@ initializeData()
       console.log(`✅ Servidor rodando na porta ${PORT}`);
       console.log(`📡 API disponível em http://0.0.0.0:${PORT}`);
       console.log(`🌐 Ambiente: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`💾 Armazenamento: ${storage.DRIVER}`);
+      if (gravacaoVoos.modo()) {
+        console.log(`📼 APIs de voos em modo ${gravacaoVoos.modo()} (VOOS_GRAVACAO)`);
+      }
       console.log(`📦 Rotas disponíveis:`);
       console.log(`   - GET  / (raiz)`);
       console.log(`   - GET  /health`);
       console.log(`   - POST /api/login`);
+      console.log(`   - POST /api/refresh`);
+      console.log(`   - POST /api/logout`);
       console.log(`   - POST /api/solicitacoes`);
       console.log(`   - GET  /api/solicitacoes`);
+      console.log(`   - GET  /api/voos/buscar`);
+      console.log(`   - GET  /api/voos/calendario`);
+      console.log(`   - GET  /api/aeroportos`);
+      console.log(`   - GET  /api/companhias`);
+      console.log(`   - GET  /api/voos/provedores/status`);
     });
 
   // Configurações para melhor gerenciamento de conexões
@@ -0,0 +1,31 @@
+// Script para aplicar as migrações pendentes (pasta migrations) sem iniciar o servidor
+// O servidor também aplica as pendentes ao iniciar.
+// Execute: node migrate.js            (aplica as pendentes)
+//          node migrate.js --listar   (mostra o estado de cada migração)
+
+require('dotenv').config();
+const storage = require('./storage');
+const { listarMigracoes, executarMigracoes } = require('./migrations');
+
+async function main() {
+  try {
+    await storage.abrir();
+
+    if (process.argv.includes('--listar')) {
+      const aplicadas = await storage.migracoes.aplicadas();
+      listarMigracoes().forEach(m => {
+        console.log(`${aplicadas.includes(m.id) ? '✅' : '⏳'} ${m.id} - ${m.descricao}`);
+      });
+      return;
+    }
+
+    console.log(`🔄 Aplicando migrações (armazenamento: ${storage.DRIVER})...`);
+    const executadas = await executarMigracoes(storage);
+    console.log(`✅ Migração concluída! ${executadas.length} migração(ões) aplicada(s).`);
+  } catch (error) {
+    console.error('❌ Erro na migração:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
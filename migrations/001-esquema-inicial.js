@@ -0,0 +1,99 @@
+// Tabelas do armazenamento SQLite
+// Colunas para os campos usados em filtros; o restante do registro fica em JSON (dados)
+
+module.exports = {
+  descricao: 'Criar tabelas do armazenamento SQLite',
+  esquema(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        role TEXT NOT NULL,
+        password TEXT,
+        password_hash TEXT,
+        created_at TEXT,
+        updated_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS sessoes (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        refresh_token_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        refreshed_at TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_sessoes_user ON sessoes (user_id);
+
+      CREATE TABLE IF NOT EXISTS solicitacoes (
+        id TEXT PRIMARY KEY,
+        solicitante_id TEXT,
+        status TEXT,
+        origem TEXT,
+        destino TEXT,
+        data_ida TEXT,
+        data_volta TEXT,
+        created_at TEXT,
+        updated_at TEXT,
+        dados TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_solicitacoes_solicitante ON solicitacoes (solicitante_id);
+      CREATE INDEX IF NOT EXISTS idx_solicitacoes_status ON solicitacoes (status);
+      CREATE INDEX IF NOT EXISTS idx_solicitacoes_data_ida ON solicitacoes (data_ida);
+
+      CREATE TABLE IF NOT EXISTS cotacoes (
+        solicitacao_id TEXT NOT NULL REFERENCES solicitacoes (id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        ordem INTEGER NOT NULL,
+        companhia TEXT,
+        preco_total REAL,
+        moeda TEXT,
+        selecionada INTEGER NOT NULL DEFAULT 0,
+        validade TEXT,
+        dados TEXT NOT NULL,
+        PRIMARY KEY (solicitacao_id, id)
+      );
+
+      CREATE TABLE IF NOT EXISTS anexos (
+        solicitacao_id TEXT NOT NULL REFERENCES solicitacoes (id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        ordem INTEGER NOT NULL,
+        nome TEXT,
+        caminho TEXT,
+        tipo TEXT,
+        dados TEXT NOT NULL,
+        PRIMARY KEY (solicitacao_id, id)
+      );
+
+      CREATE TABLE IF NOT EXISTS historico (
+        solicitacao_id TEXT NOT NULL REFERENCES solicitacoes (id) ON DELETE CASCADE,
+        ordem INTEGER NOT NULL,
+        acao TEXT,
+        status_de TEXT,
+        status_para TEXT,
+        usuario_id TEXT,
+        data TEXT,
+        dados TEXT NOT NULL,
+        PRIMARY KEY (solicitacao_id, ordem)
+      );
+
+      CREATE TABLE IF NOT EXISTS aprovacoes (
+        solicitacao_id TEXT NOT NULL REFERENCES solicitacoes (id) ON DELETE CASCADE,
+        papel TEXT NOT NULL,
+        aprovado INTEGER NOT NULL,
+        aprovador_id TEXT,
+        motivo TEXT,
+        data TEXT,
+        dados TEXT NOT NULL,
+        PRIMARY KEY (solicitacao_id, papel)
+      );
+
+      CREATE TABLE IF NOT EXISTS configuracoes (
+        chave TEXT PRIMARY KEY,
+        valor TEXT
+      );
+    `);
+  }
+};
@@ -0,0 +1,14 @@
+// Senhas em texto puro (usuários antigos) → bcrypt
+
+module.exports = {
+  descricao: 'Migrar senhas em texto puro para hash',
+  async executar() {
+    const { migratePasswords } = require('../auth');
+    const result = await migratePasswords();
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.migrated;
+  }
+};
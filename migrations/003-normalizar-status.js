@@ -0,0 +1,21 @@
+// Status antigos (pendente_gerente, processada...) → status canônicos do fluxo
+
+const { normalizarStatus } = require('../workflow');
+
+module.exports = {
+  descricao: 'Normalizar status das solicitações',
+  async executar(storage) {
+    let alteradas = 0;
+
+    for (const { id, status } of await storage.solicitacoes.listar()) {
+      if (normalizarStatus(status) === status) continue;
+
+      await storage.solicitacoes.atualizar(id, solicitacao => {
+        solicitacao.status = normalizarStatus(solicitacao.status);
+      });
+      alteradas++;
+    }
+
+    return alteradas;
+  }
+};
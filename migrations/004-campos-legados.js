@@ -0,0 +1,19 @@
+// Campos de versões antigas do formulário (dataPartida, cidadeOrigem...) → nomes canônicos
+
+const { CAMPOS_LEGADOS, migrarCamposLegados } = require('../solicitacoesService');
+
+module.exports = {
+  descricao: 'Converter campos legados das solicitações',
+  async executar(storage) {
+    let alteradas = 0;
+
+    for (const { id, ...campos } of await storage.solicitacoes.listar()) {
+      if (!Object.keys(CAMPOS_LEGADOS).some(legado => legado in campos)) continue;
+
+      await storage.solicitacoes.atualizar(id, solicitacao => migrarCamposLegados([solicitacao]));
+      alteradas++;
+    }
+
+    return alteradas;
+  }
+};
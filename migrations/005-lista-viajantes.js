@@ -0,0 +1,21 @@
+// Nomes dos viajantes gravados como texto (formulário antigo) → lista de nomes
+
+const { listaDeViajantes } = require('../solicitacoesService');
+
+module.exports = {
+  descricao: 'Converter nomes dos viajantes em lista',
+  async executar(storage) {
+    let alteradas = 0;
+
+    for (const { id, nomeViajantes } of await storage.solicitacoes.listar()) {
+      if (typeof nomeViajantes !== 'string') continue;
+
+      await storage.solicitacoes.atualizar(id, solicitacao => {
+        solicitacao.nomeViajantes = listaDeViajantes(solicitacao.nomeViajantes);
+      });
+      alteradas++;
+    }
+
+    return alteradas;
+  }
+};
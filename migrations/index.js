@@ -0,0 +1,50 @@
+// Executor de migrações versionadas
+// Cada arquivo NNN-descricao.js desta pasta é uma migração, aplicada uma única vez e em ordem.
+// Uma migração pode ter:
+// - esquema(db): alterações de tabelas (só executado no SQLite)
+// - executar(storage): alterações de dados pela API do armazenamento (qualquer backend);
+//   retorna quantos registros foram alterados
+
+const fs = require('fs');
+const path = require('path');
+
+// Migrações disponíveis, em ordem
+function listarMigracoes() {
+  return fs.readdirSync(__dirname)
+    .filter(arquivo => /^\d{3}-.+\.js$/.test(arquivo))
+    .sort()
+    .map(arquivo => ({
+      id: arquivo.replace(/\.js$/, ''),
+      ...require(path.join(__dirname, arquivo))
+    }));
+}
+
+// Aplicar as migrações pendentes
+// somenteEsquema: cria/atualiza as tabelas sem alterar dados nem registrar (usado pelo importador)
+async function executarMigracoes(storage, { somenteEsquema = false } = {}) {
+  const aplicadas = somenteEsquema ? [] : await storage.migracoes.aplicadas();
+  const executadas = [];
+
+  for (const migracao of listarMigracoes()) {
+    if (aplicadas.includes(migracao.id)) continue;
+
+    if (migracao.esquema) {
+      await storage.aplicarEsquema(migracao.esquema);
+    }
+
+    if (somenteEsquema) continue;
+
+    const alterados = migracao.executar ? await migracao.executar(storage) : 0;
+    await storage.migracoes.registrar(migracao.id, migracao.descricao);
+
+    console.log(`[Migrações] ${migracao.id} aplicada${alterados ? ` (${alterados} registro(s) alterado(s))` : ''}`);
+    executadas.push({ id: migracao.id, descricao: migracao.descricao, alterados });
+  }
+
+  return executadas;
+}
+
+module.exports = {
+  listarMigracoes,
+  executarMigracoes
+};
@@ -0,0 +1,71 @@
+// Permissões por perfil (role → ações permitidas)
+// Usado pelo middleware requirePermission e pelas regras de propriedade das solicitações
+
+const PERMISSOES = {
+  colaborador: [
+    'solicitacoes:criar',
+    'cotacoes:selecionar'
+  ],
+  gestor: [
+    'solicitacoes:criar',
+    'solicitacoes:ver_todas',
+    'solicitacoes:aprovar_gestor',
+    'solicitacoes:solicitar_ajuste',
+    'cotacoes:selecionar',
+    'estatisticas:ver'
+  ],
+  gerente: [
+    'solicitacoes:criar',
+    'solicitacoes:ver_todas',
+    'solicitacoes:aprovar_gerente',
+    'solicitacoes:solicitar_ajuste',
+    'cotacoes:selecionar',
+    'estatisticas:ver'
+  ],
+  diretor: [
+    'solicitacoes:criar',
+    'solicitacoes:ver_todas',
+    'solicitacoes:aprovar_diretor',
+    'solicitacoes:solicitar_ajuste',
+    'cotacoes:selecionar',
+    'estatisticas:ver',
+    'usuarios:gerenciar',
+    'politica:gerenciar',
+    'voos:status',
+    'voos:testar_provedores'
+  ],
+  compras: [
+    'solicitacoes:criar',
+    'solicitacoes:ver_todas',
+    'solicitacoes:processar_compras',
+    'cotacoes:selecionar',
+    'cotacoes:gerenciar',
+    'voos:buscar',
+    'voos:ignorar_cache',
+    'voos:status',
+    'anexos:gerenciar',
+    'estatisticas:ver'
+  ]
+};
+
+// Verificar se o perfil pode executar a ação
+function temPermissao(role, acao) {
+  return (PERMISSOES[role] || []).includes(acao);
+}
+
+// Usuário é o solicitante da solicitação
+function ehSolicitante(user, solicitacao) {
+  return Boolean(user && solicitacao && solicitacao.solicitanteId === user.id);
+}
+
+// Colaboradores só enxergam as próprias solicitações
+function podeVerSolicitacao(user, solicitacao) {
+  return temPermissao(user.role, 'solicitacoes:ver_todas') || ehSolicitante(user, solicitacao);
+}
+
+module.exports = {
+  PERMISSOES,
+  temPermissao,
+  ehSolicitante,
+  podeVerSolicitacao
+};
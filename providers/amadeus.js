@@ -0,0 +1,209 @@
+// Provedor Amadeus (Flight Offers Search)
+// Também fornece o token usado pela confirmação de preço (multiAPI.confirmFlightPrice)
+
+const axios = require('axios');
+const { resolverCodigo } = require('../aeroportosService');
+const { codigoDaCompanhia, nomeDaCompanhia } = require('../companhiasService');
+const gravacao = require('./gravacao');
+const { comGravacao } = gravacao;
+
+const config = {
+  key: process.env.AMADEUS_API_KEY || '',
+  secret: process.env.AMADEUS_API_SECRET || '',
+  env: process.env.AMADEUS_ENV || 'test'
+};
+
+// Cache de token
+let amadeusToken = null;
+let amadeusTokenExpiry = null;
+
+// URL base conforme o ambiente (produção ou teste)
+function apiBaseUrl() {
+  return config.env === 'production'
+    ? 'https://api.amadeus.com'
+    : 'https://test.api.amadeus.com';
+}
+
+// Obter token Amadeus
+async function getAmadeusToken() {
+  if (amadeusToken && amadeusTokenExpiry && Date.now() < amadeusTokenExpiry) {
+    return amadeusToken;
+  }
+
+  try {
+    const response = await axios.post(
+      `${apiBaseUrl()}/v1/security/oauth2/token`,
+      new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: config.key,
+        client_secret: config.secret
+      }),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+      }
+    );
+
+    amadeusToken = response.data.access_token;
+    amadeusTokenExpiry = Date.now() + (response.data.expires_in * 1000) - 60000;
+    return amadeusToken;
+  } catch (error) {
+    console.error('[MultiAPI] Erro ao obter token Amadeus:', error.message);
+    throw error;
+  }
+}
+
+// Calcular duração
+function calculateDuration(itinerary) {
+  if (!itinerary.segments || itinerary.segments.length === 0) {
+    return '0h 0m';
+  }
+  
+  const totalMinutes = itinerary.duration?.match(/(\d+)H(\d+)?M/);
+  if (totalMinutes) {
+    const hours = parseInt(totalMinutes[1]) || 0;
+    const minutes = parseInt(totalMinutes[2]) || 0;
+    return `${hours}h ${minutes}m`;
+  }
+  
+  return itinerary.duration || 'N/A';
+}
+
+// Parâmetros da Flight Offers Search a partir da busca e das preferências (filtrosVoos.js)
+// Máximo de escalas e companhias preferidas não existem na API: ficam para o filtro posterior
+function montarParametros(origemCode, destinoCode, dataIda, dataVolta, preferencias = {}) {
+  const passageiros = preferencias.passageiros || {};
+  const params = {
+    originLocationCode: origemCode,
+    destinationLocationCode: destinoCode,
+    departureDate: new Date(dataIda).toISOString().split('T')[0],
+    adults: passageiros.adultos || 1,
+    max: 15
+  };
+
+  if (dataVolta) {
+    params.returnDate = new Date(dataVolta).toISOString().split('T')[0];
+  }
+  if (passageiros.criancas > 0) {
+    params.children = passageiros.criancas;
+  }
+  if (passageiros.bebes > 0) {
+    params.infants = passageiros.bebes;
+  }
+  if (preferencias.cabine) {
+    params.travelClass = preferencias.cabine;
+  }
+  if (preferencias.maxEscalas === 0) {
+    params.nonStop = true;
+  }
+  // A API só aceita códigos IATA de 2 caracteres
+  const excluidas = (preferencias.companhiasExcluidas || []).filter(codigo => /^[A-Z0-9]{2}$/.test(codigo));
+  if (excluidas.length > 0) {
+    params.excludedAirlineCodes = excluidas.join(',');
+  }
+  // Tarifas sempre em BRL: sem currencyCode a API responde na moeda do ponto de venda (ex.: EUR),
+  // o que impede comparar preços entre buscas; maxPrice também é nessa moeda
+  params.currencyCode = 'BRL';
+  if (preferencias.precoMaximo) {
+    params.maxPrice = Math.floor(preferencias.precoMaximo);
+  }
+
+  return params;
+}
+
+// Buscar ofertas de voo
+async function searchAmadeus(origem, destino, dataIda, dataVolta, preferencias) {
+  try {
+    const origemCode = resolverCodigo(origem);
+    const destinoCode = resolverCodigo(destino);
+    const params = montarParametros(origemCode, destinoCode, dataIda, dataVolta, preferencias);
+
+    // Resposta bruta da API (ou a gravada, ver gravacao.js)
+    const resposta = await comGravacao('AMADEUS', 'flight-offers', {
+      parametros: params,
+      chamada: [origem, destino, dataIda, dataVolta, preferencias]
+    }, async () => {
+      const token = await getAmadeusToken();
+      const response = await axios.get(
+        `${apiBaseUrl()}/v2/shopping/flight-offers`,
+        {
+          headers: { 'Authorization': `Bearer ${token}` },
+          params,
+          timeout: 15000
+        }
+      );
+      return response.data;
+    });
+
+    if (!resposta?.data || resposta.data.length === 0) {
+      return [];
+    }
+
+    // Formatar resultados Amadeus (nomes e códigos de companhia pela referência de companhias)
+    return resposta.data.map((offer, index) => {
+      const itineraries = offer.itineraries || [];
+      const ida = itineraries[0] || {};
+      const volta = itineraries[1] || null;
+      const primeiraCompanhia = ida.segments?.[0]?.carrierCode || 'N/A';
+
+      return {
+        id: offer.id || `amadeus-${index}`,
+        preco: offer.price?.total || '0',
+        moeda: offer.price?.currency || 'BRL',
+        companhia: nomeDaCompanhia(primeiraCompanhia),
+        codigoCompanhia: codigoDaCompanhia(primeiraCompanhia),
+        cabine: offer.travelerPricings?.[0]?.fareDetailsBySegment?.[0]?.cabin || null,
+        origem: ida.segments?.[0]?.departure?.iataCode || '',
+        destino: volta 
+          ? volta.segments?.[volta.segments.length - 1]?.arrival?.iataCode 
+          : ida.segments?.[ida.segments.length - 1]?.arrival?.iataCode || '',
+        dataIda: ida.segments?.[0]?.departure?.at || '',
+        dataVolta: volta ? volta.segments?.[0]?.departure?.at : null,
+        duracaoIda: calculateDuration(ida),
+        duracaoVolta: volta ? calculateDuration(volta) : null,
+        escalasIda: (ida.segments?.length || 1) - 1,
+        escalasVolta: volta ? (volta.segments?.length || 1) - 1 : null,
+        detalhes: {
+          ida: ida.segments?.map(seg => ({
+            origem: seg.departure?.iataCode,
+            destino: seg.arrival?.iataCode,
+            partida: seg.departure?.at,
+            chegada: seg.arrival?.at,
+            duracao: seg.duration,
+            companhia: nomeDaCompanhia(seg.carrierCode),
+            codigoCompanhia: codigoDaCompanhia(seg.carrierCode),
+            numeroVoo: seg.number
+          })) || [],
+          volta: volta ? volta.segments?.map(seg => ({
+            origem: seg.departure?.iataCode,
+            destino: seg.arrival?.iataCode,
+            partida: seg.departure?.at,
+            chegada: seg.arrival?.at,
+            duracao: seg.duration,
+            companhia: nomeDaCompanhia(seg.carrierCode),
+            codigoCompanhia: codigoDaCompanhia(seg.carrierCode),
+            numeroVoo: seg.number
+          })) : null
+        },
+        linkReserva: 'AMADEUS',
+        // Manter o objeto original da oferta para confirmação de preço
+        _originalOffer: offer
+      };
+    });
+  } catch (error) {
+    console.error('[MultiAPI] Erro ao buscar na Amadeus:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  nome: 'AMADEUS',
+  // Reproduzindo gravações não precisa de credenciais
+  habilitado: () => Boolean(config.key && config.secret) || gravacao.reproduzindo(),
+  buscar: searchAmadeus,
+  confiabilidade: 0.3,
+  timeoutMs: 20000,
+  getAmadeusToken,
+  apiBaseUrl,
+  montarParametros
+};
@@ -0,0 +1,84 @@
+// Provedor Aviationstack (rotas e horários; não fornece preços)
+
+const axios = require('axios');
+const { resolverCodigo } = require('../aeroportosService');
+const { obterCompanhia, codigoDaCompanhia } = require('../companhiasService');
+
+const config = {
+  key: process.env.AVIATIONSTACK_API_KEY || ''
+};
+
+// Buscar voos programados na rota (sem preço)
+async function searchAviationStack(origem, destino, dataIda, dataVolta) {
+  try {
+    const origemCode = resolverCodigo(origem);
+    const destinoCode = resolverCodigo(destino);
+    const dataIdaFormatted = new Date(dataIda).toISOString().split('T')[0];
+
+    // Aviationstack retorna dados de voos, mas não preços completos
+    // Pode ser usado para validar existência de rotas
+    const response = await axios.get(
+      'http://api.aviationstack.com/v1/flights',
+      {
+        params: {
+          access_key: config.key,
+          dep_iata: origemCode,
+          arr_iata: destinoCode,
+          flight_date: dataIdaFormatted
+        },
+        timeout: 10000
+      }
+    );
+
+    if (!response.data?.data || response.data.data.length === 0) {
+      return [];
+    }
+
+    // Formatar resultados (limitado, pois não tem preços completos)
+    return response.data.data.slice(0, 10).map((flight, index) => {
+      // Nome da referência de companhias; fora dela, o nome informado pela Aviationstack
+      const nomeCompanhia = obterCompanhia(flight.airline?.iata || flight.airline?.name)?.nome ||
+        flight.airline?.name || flight.airline?.iata;
+
+      return {
+        id: `aviationstack-${index}`,
+        preco: '0', // Aviationstack não fornece preços
+        moeda: 'BRL',
+        companhia: nomeCompanhia || 'N/A',
+        codigoCompanhia: flight.airline?.iata ? codigoDaCompanhia(flight.airline.iata) : null,
+        origem: flight.departure?.iata || origemCode,
+        destino: flight.arrival?.iata || destinoCode,
+        dataIda: flight.departure?.scheduled || '',
+        dataVolta: null,
+        duracaoIda: 'N/A',
+        duracaoVolta: null,
+        escalasIda: 0,
+        escalasVolta: null,
+        detalhes: {
+          ida: [{
+            origem: flight.departure?.iata,
+            destino: flight.arrival?.iata,
+            partida: flight.departure?.scheduled,
+            chegada: flight.arrival?.scheduled,
+            duracao: 'N/A',
+            companhia: nomeCompanhia,
+            codigoCompanhia: flight.airline?.iata ? codigoDaCompanhia(flight.airline.iata) : null,
+            numeroVoo: flight.flight?.number
+          }]
+        },
+        linkReserva: 'AVIATIONSTACK'
+      };
+    });
+  } catch (error) {
+    console.error('[MultiAPI] Erro ao buscar na Aviationstack:', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  nome: 'AVIATIONSTACK',
+  habilitado: () => Boolean(config.key),
+  buscar: searchAviationStack,
+  confiabilidade: 0.2,
+  timeoutMs: 15000
+};
@@ -0,0 +1,132 @@
+// Gravação e reprodução das respostas brutas das APIs de voos (fixtures)
+// - VOOS_GRAVACAO=gravar: cada chamada real grava a resposta (ou o erro) em VOOS_FIXTURES_DIR
+// - VOOS_GRAVACAO=reproduzir: as chamadas não vão à rede; a resposta gravada passa pelo mesmo
+//   código de interpretação (formatação Amadeus, parser TravelLink, confirmação de preço)
+// Arquivo: <VOOS_FIXTURES_DIR>/<provedor>/<operacao>-<hash dos parâmetros>.json
+// Use verificar-gravacoes.js para reprocessar todas as gravações offline e comparar com o
+// resultado esperado guardado em cada uma (--atualizar grava o esperado).
+// fixtures/voos guarda capturas reais das APIs e é versionada (casos de regressão dos parsers).
+// fixtures/voos-sinteticas tem respostas escritas à mão no formato que o parser espera, marcadas com
+// "sintetica": true: cobrem casos ainda sem captura real, mas não provam o formato do serviço.
+// Gravações avulsas (ex.: para investigar um problema) devem ir para outra pasta via
+// VOOS_FIXTURES_DIR, como gravacoes/, que fica fora do git.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MODOS = ['gravar', 'reproduzir'];
+
+function modo() {
+  const valor = (process.env.VOOS_GRAVACAO || '').toLowerCase();
+  return MODOS.includes(valor) ? valor : null;
+}
+
+function reproduzindo() {
+  return modo() === 'reproduzir';
+}
+
+function diretorio() {
+  return path.resolve(process.env.VOOS_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'voos'));
+}
+
+// JSON com as chaves ordenadas (mesmos parâmetros em outra ordem = mesma gravação)
+function jsonOrdenado(valor) {
+  if (Array.isArray(valor)) {
+    return `[${valor.map(jsonOrdenado).join(',')}]`;
+  }
+  if (valor && typeof valor === 'object') {
+    return `{${Object.keys(valor).sort().map(chave => `${JSON.stringify(chave)}:${jsonOrdenado(valor[chave])}`).join(',')}}`;
+  }
+  return JSON.stringify(valor);
+}
+
+function arquivoDaGravacao(provedor, operacao, parametros) {
+  const hash = crypto.createHash('sha1').update(jsonOrdenado(parametros)).digest('hex').slice(0, 12);
+  return path.join(diretorio(), provedor.toLowerCase(), `${operacao}-${hash}.json`);
+}
+
+// Só o necessário para reproduzir o erro (código e status HTTP decidem retentativas e mensagens)
+function erroGravado(error) {
+  return {
+    message: error.message,
+    code: error.code || null,
+    status: error.response?.status || null,
+    data: error.response?.data || null
+  };
+}
+
+function recriarErro(gravado) {
+  const erro = new Error(gravado.message);
+  erro.code = gravado.code || undefined;
+  if (gravado.status) {
+    erro.response = { status: gravado.status, data: gravado.data };
+  }
+  return erro;
+}
+
+// Executar a chamada à API conforme o modo
+// opcoes.parametros: o que identifica a resposta (parâmetros enviados à API)
+// opcoes.chamada: argumentos da função do provedor, guardados para o verificar-gravacoes.js
+async function comGravacao(provedor, operacao, opcoes, fn) {
+  const atual = modo();
+  if (!atual) {
+    return fn();
+  }
+
+  const arquivo = arquivoDaGravacao(provedor, operacao, opcoes.parametros);
+
+  if (atual === 'reproduzir') {
+    if (!fs.existsSync(arquivo)) {
+      const erro = new Error(`Sem gravação de ${provedor} ${operacao} para estes parâmetros (${path.relative(process.cwd(), arquivo)})`);
+      erro.code = 'SEM_GRAVACAO';
+      throw erro;
+    }
+    const gravacao = JSON.parse(await fs.promises.readFile(arquivo, 'utf8'));
+    if (gravacao.erro) {
+      throw recriarErro(gravacao.erro);
+    }
+    return gravacao.resposta;
+  }
+
+  const gravacao = {
+    provedor,
+    operacao,
+    parametros: opcoes.parametros,
+    chamada: opcoes.chamada || null,
+    gravadoEm: new Date().toISOString()
+  };
+
+  try {
+    gravacao.resposta = await fn();
+    return gravacao.resposta;
+  } catch (error) {
+    gravacao.erro = erroGravado(error);
+    throw error;
+  } finally {
+    await fs.promises.mkdir(path.dirname(arquivo), { recursive: true });
+    await fs.promises.writeFile(arquivo, JSON.stringify(gravacao, null, 2));
+    console.log(`[Gravacao] ${provedor} ${operacao} gravado em ${arquivo}`);
+  }
+}
+
+// Todas as gravações do diretório (usado pelo verificar-gravacoes.js)
+function listarGravacoes() {
+  const raiz = diretorio();
+  if (!fs.existsSync(raiz)) {
+    return [];
+  }
+
+  return fs.readdirSync(raiz, { withFileTypes: true })
+    .filter(entrada => entrada.isDirectory())
+    .flatMap(pasta => fs.readdirSync(path.join(raiz, pasta.name))
+      .filter(nome => nome.endsWith('.json'))
+      .map(nome => path.join(raiz, pasta.name, nome)));
+}
+
+module.exports = {
+  modo,
+  reproduzindo,
+  comGravacao,
+  listarGravacoes
+};
@@ -0,0 +1,85 @@
+// Registro de provedores de voos usados pela busca multi-API
+// Cada provedor é um módulo que exporta:
+// - nome: identificador da fonte (ex.: TRAVELLINK), gravado em voo.fonte
+// - habilitado(): se está configurado (credenciais, flags)
+// - buscar(origem, destino, dataIda, dataVolta, preferencias): lista de voos no formato padrão (sem fonte/confiabilidade)
+//   preferencias vem de filtrosVoos.js; o provedor usa o que a API suportar e o restante é filtrado depois
+// - confiabilidade: peso somado à nota de confiabilidade dos voos dessa fonte (0 a 0.5)
+// - timeoutMs: tempo máximo de espera pela resposta (incluindo novas tentativas)
+// Opcionais, para ajustar as proteções de resiliencia.js:
+// - retentativas: { tentativas, baseMs, maxMs }
+// - circuito: { limiteFalhas, resfriamentoMs }
+// - limite: { capacidade, porSegundo } (token bucket)
+// Para adicionar um consolidador, crie o módulo nesta pasta e inclua-o em PROVEDORES_PADRAO.
+
+const PROVEDORES_PADRAO = [
+  require('./travellink'),
+  require('./amadeus'),
+  require('./aviationstack'),
+  require('./mock')
+];
+
+const provedores = new Map();
+
+// Validar a interface do provedor
+function validarProvedor(provedor) {
+  const erros = [];
+
+  if (!provedor || typeof provedor.nome !== 'string' || !provedor.nome.trim()) {
+    erros.push('nome é obrigatório');
+  }
+  if (typeof provedor?.habilitado !== 'function') {
+    erros.push('habilitado deve ser uma função');
+  }
+  if (typeof provedor?.buscar !== 'function') {
+    erros.push('buscar deve ser uma função');
+  }
+  if (typeof provedor?.confiabilidade !== 'number' || provedor.confiabilidade < 0 || provedor.confiabilidade > 0.5) {
+    erros.push('confiabilidade deve ser um número entre 0 e 0.5');
+  }
+  if (!Number.isInteger(provedor?.timeoutMs) || provedor.timeoutMs <= 0) {
+    erros.push('timeoutMs deve ser um inteiro positivo');
+  }
+
+  return {
+    valida: erros.length === 0,
+    erros
+  };
+}
+
+// Registrar (ou substituir) um provedor pelo nome
+function registrarProvedor(provedor) {
+  const validacao = validarProvedor(provedor);
+  if (!validacao.valida) {
+    throw new Error(`Provedor de voos inválido (${provedor?.nome || 'sem nome'}): ${validacao.erros.join(', ')}`);
+  }
+
+  provedores.set(provedor.nome.toUpperCase(), provedor);
+}
+
+// Remover um provedor do registro
+function removerProvedor(nome) {
+  return provedores.delete(String(nome || '').toUpperCase());
+}
+
+function obterProvedor(nome) {
+  return provedores.get(String(nome || '').toUpperCase());
+}
+
+function listarProvedores() {
+  return [...provedores.values()];
+}
+
+function provedoresHabilitados() {
+  return listarProvedores().filter(provedor => provedor.habilitado());
+}
+
+PROVEDORES_PADRAO.forEach(registrarProvedor);
+
+module.exports = {
+  registrarProvedor,
+  removerProvedor,
+  obterProvedor,
+  listarProvedores,
+  provedoresHabilitados
+};
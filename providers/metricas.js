@@ -0,0 +1,74 @@
+// Métricas das consultas aos provedores de voos (em memória, zeradas ao reiniciar o servidor)
+// Guarda as últimas JANELA consultas de cada provedor para calcular taxa de erro e latência p95,
+// além do horário do último sucesso e da última falha.
+
+const JANELA = 100;
+
+const metricas = new Map();
+
+function obterRegistro(nome) {
+  if (!metricas.has(nome)) {
+    metricas.set(nome, {
+      consultas: [],
+      totalConsultas: 0,
+      ultimoSucessoEm: null,
+      ultimaFalhaEm: null,
+      ultimoErro: null
+    });
+  }
+  return metricas.get(nome);
+}
+
+// Registrar o resultado de uma consulta (resumo produzido pela busca multi-API)
+function registrarConsulta(nome, { status, tempoMs, erro }) {
+  const registro = obterRegistro(nome);
+  const agora = new Date().toISOString();
+
+  registro.consultas.push({ status, tempoMs });
+  if (registro.consultas.length > JANELA) {
+    registro.consultas.shift();
+  }
+  registro.totalConsultas++;
+
+  if (status === 'ok') {
+    registro.ultimoSucessoEm = agora;
+  } else {
+    registro.ultimaFalhaEm = agora;
+    registro.ultimoErro = erro || null;
+  }
+}
+
+function percentil(valores, p) {
+  if (valores.length === 0) {
+    return null;
+  }
+  const ordenados = [...valores].sort((a, b) => a - b);
+  return ordenados[Math.ceil((p / 100) * ordenados.length) - 1];
+}
+
+// Resumo das métricas de um provedor
+// Consultas puladas pelo circuito aberto contam como erro, mas não entram na latência
+function resumoMetricas(nome) {
+  const registro = obterRegistro(nome);
+  const { consultas } = registro;
+  const falhas = consultas.filter(consulta => consulta.status !== 'ok').length;
+  const latencias = consultas
+    .filter(consulta => consulta.status !== 'circuito_aberto')
+    .map(consulta => consulta.tempoMs);
+
+  return {
+    totalConsultas: registro.totalConsultas,
+    consultasRecentes: consultas.length,
+    taxaErro: consultas.length ? Math.round((falhas / consultas.length) * 1000) / 1000 : null,
+    latenciaP95Ms: percentil(latencias, 95),
+    ultimoSucessoEm: registro.ultimoSucessoEm,
+    ultimaFalhaEm: registro.ultimaFalhaEm,
+    ultimoErro: registro.ultimoErro
+  };
+}
+
+module.exports = {
+  JANELA,
+  registrarConsulta,
+  resumoMetricas
+};
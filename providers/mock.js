@@ -0,0 +1,295 @@
+// Provedor MOCK: voos simulados, determinísticos e realistas para desenvolvimento offline e testes
+// - MOCK_VOOS=true habilita o provedor na busca multi-API
+// - MOCK_VOOS_SEMENTE: mesma semente + mesma busca = mesmos voos, preços e horários
+// - MOCK_VOOS_FALHA: erro | transitorio | timeout, para simular falhas do provedor
+//   (MOCK_VOOS_TAXA_FALHA de 0 a 1 define a fração das chamadas que falham; padrão 1)
+// - MOCK_VOOS_LATENCIA_MS: atraso artificial de cada resposta
+// Durações vêm da distância entre os aeroportos (aeroportos.json), horários respeitam o fuso de
+// cada aeroporto e a volta repete a companhia e a conexão da ida.
+
+const { resolverCodigo, obterAeroporto, aeroportosDoCodigo } = require('../aeroportosService');
+const { COMPANHIAS: REFERENCIA_COMPANHIAS, codigoDaCompanhia } = require('../companhiasService');
+
+const config = {
+  semente: process.env.MOCK_VOOS_SEMENTE || 'gwind',
+  falha: process.env.MOCK_VOOS_FALHA || null,
+  taxaFalha: process.env.MOCK_VOOS_TAXA_FALHA !== undefined ? parseFloat(process.env.MOCK_VOOS_TAXA_FALHA) : 1,
+  latenciaMs: parseInt(process.env.MOCK_VOOS_LATENCIA_MS, 10) || 0
+};
+
+// Companhias simuladas: as da referência (companhias.json), com o país de origem e o hub usado nas conexões
+const COMPANHIAS = Object.fromEntries(REFERENCIA_COMPANHIAS.filter(companhia => companhia.hub).map(companhia => [companhia.iata, companhia]));
+
+// Companhias que fazem conexões internacionais para qualquer destino
+const CONECTORAS = ['CM', 'TP', 'EK'];
+
+const MULTIPLICADOR_CABINE = { ECONOMY: 1, PREMIUM_ECONOMY: 1.6, BUSINESS: 3.5, FIRST: 6 };
+
+let chamadas = 0;
+
+// Hash FNV-1a de 32 bits (semente numérica a partir de texto)
+function hash(texto) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < texto.length; i++) {
+    h ^= texto.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Gerador pseudoaleatório determinístico (mulberry32) a partir das partes informadas
+function criarGerador(...partes) {
+  let estado = hash([config.semente, ...partes].join('|'));
+
+  const numero = () => {
+    estado = (estado + 0x6d2b79f5) >>> 0;
+    let t = estado;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    numero,
+    inteiro: (minimo, maximo) => minimo + Math.floor(numero() * (maximo - minimo + 1)),
+    escolher: lista => lista[Math.floor(numero() * lista.length)]
+  };
+}
+
+// Distância em km entre dois aeroportos (fórmula de haversine)
+function distanciaKm(a, b) {
+  const rad = graus => (graus * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// Diferença do fuso para UTC, em minutos, no instante informado
+function offsetMinutos(timezone, instante) {
+  const nome = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' })
+    .formatToParts(new Date(instante))
+    .find(parte => parte.type === 'timeZoneName').value;
+  const partes = nome.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!partes) {
+    return 0;
+  }
+  return (partes[1] === '-' ? -1 : 1) * (parseInt(partes[2], 10) * 60 + parseInt(partes[3], 10));
+}
+
+// Horário local (YYYY-MM-DDTHH:MM:00) do instante UTC no fuso do aeroporto
+function horarioLocal(instante, aeroporto) {
+  return new Date(instante + offsetMinutos(aeroporto.timezone, instante) * 60000).toISOString().slice(0, 19);
+}
+
+// Instante UTC de um horário local (data + minutos desde a meia-noite) no fuso do aeroporto
+function instanteLocal(data, minutos, aeroporto) {
+  const comoUtc = new Date(`${data}T00:00:00Z`).getTime() + minutos * 60000;
+  return comoUtc - offsetMinutos(aeroporto.timezone, comoUtc) * 60000;
+}
+
+function duracaoTexto(minutos) {
+  return `${Math.floor(minutos / 60)}h ${minutos % 60}m`;
+}
+
+function duracaoIso(minutos) {
+  return `PT${Math.floor(minutos / 60)}H${minutos % 60}M`;
+}
+
+// Tempo de voo: cruzeiro a ~780 km/h mais taxiamento, subida e descida
+function minutosDeVoo(origem, destino) {
+  return Math.round(distanciaKm(origem, destino) / 780 * 60 + 35);
+}
+
+// Companhias que operariam a rota
+function companhiasDaRota(origem, destino) {
+  if (origem.pais === 'Brasil' && destino.pais === 'Brasil') {
+    return ['LA', 'G3', 'AD'];
+  }
+
+  const locais = Object.keys(COMPANHIAS).filter(codigo =>
+    [origem.pais, destino.pais].includes(COMPANHIAS[codigo].pais) && (codigo === 'LA' || COMPANHIAS[codigo].pais !== 'Brasil'));
+  return [...new Set(['LA', ...locais, ...CONECTORAS])];
+}
+
+// Rota (lista de aeroportos) da companhia: direta ou com conexão no hub
+function trajetos(codigo, origem, destino) {
+  const hub = obterAeroporto(COMPANHIAS[codigo].hub);
+  const diretoPossivel = [origem.iata, destino.iata].includes(hub.iata) ||
+    (origem.pais === destino.pais && distanciaKm(origem, destino) < 2500);
+  const opcoes = [];
+
+  if (diretoPossivel) {
+    opcoes.push([origem, destino]);
+  }
+  // Conexão só se o hub não for da mesma cidade de uma das pontas e não desviar demais da rota
+  const mesmaCidade = aeroporto => aeroporto.iata === hub.iata || (hub.metro && aeroporto.metro === hub.metro);
+  const desvio = (distanciaKm(origem, hub) + distanciaKm(hub, destino)) / distanciaKm(origem, destino);
+  if (!mesmaCidade(origem) && !mesmaCidade(destino) && desvio < 1.6) {
+    opcoes.push([origem, hub, destino]);
+  }
+  return opcoes;
+}
+
+// Montar os segmentos de um trecho a partir do horário de partida (instante UTC)
+function montarSegmentos(aeroportos, partida, codigo, gerador) {
+  const segmentos = [];
+  let instante = partida;
+
+  for (let i = 0; i < aeroportos.length - 1; i++) {
+    if (i > 0) {
+      instante += gerador.inteiro(60, 180) * 60000; // conexão
+    }
+    const duracao = minutosDeVoo(aeroportos[i], aeroportos[i + 1]);
+    const chegada = instante + duracao * 60000;
+
+    segmentos.push({
+      origem: aeroportos[i].iata,
+      destino: aeroportos[i + 1].iata,
+      partida: horarioLocal(instante, aeroportos[i]),
+      chegada: horarioLocal(chegada, aeroportos[i + 1]),
+      duracao: duracaoIso(duracao),
+      companhia: COMPANHIAS[codigo].nome,
+      codigoCompanhia: codigo,
+      numeroVoo: String(gerador.inteiro(1000, 9899))
+    });
+    instante = chegada;
+  }
+
+  return { segmentos, minutos: Math.round((instante - partida) / 60000) };
+}
+
+// Preço total da oferta em BRL (distância, cabine, passageiros, ida e volta)
+function calcularPreco(distancia, escalas, idaEVolta, preferencias, gerador) {
+  const passageiros = preferencias.passageiros || {};
+  const internacional = distancia > 3000;
+  const base = internacional ? 800 + distancia * 0.35 : 150 + distancia * 0.45;
+  const pessoas = (passageiros.adultos || 1) + (passageiros.criancas || 0) * 0.75 + (passageiros.bebes || 0) * 0.1;
+
+  const preco = base *
+    (0.8 + gerador.numero() * 0.7) *
+    (escalas > 0 ? 0.85 : 1) *
+    (MULTIPLICADOR_CABINE[preferencias.cabine] || 1) *
+    (idaEVolta ? 1.9 : 1) *
+    pessoas;
+  return preco.toFixed(2);
+}
+
+// Gerar os voos simulados da busca (determinístico pela semente e pelos parâmetros)
+function gerarVoos(origem, destino, dataIda, dataVolta, preferencias = {}) {
+  const origemCode = resolverCodigo(origem);
+  const destinoCode = resolverCodigo(destino);
+  const gerador = criarGerador(origemCode, destinoCode, dataIda, dataVolta || '', preferencias.cabine || '');
+  const cabine = preferencias.cabine || 'ECONOMY';
+  const excluidas = (preferencias.companhiasExcluidas || []).map(codigoDaCompanhia);
+  const voos = [];
+
+  // Código de cidade (ex.: SAO): cada voo sai de um dos aeroportos da cidade
+  const aeroportosOrigem = aeroportosDoCodigo(origemCode);
+  const aeroportosDestino = aeroportosDoCodigo(destinoCode);
+
+  for (const codigo of companhiasDaRota(aeroportosOrigem[0], aeroportosDestino[0])) {
+    if (excluidas.includes(codigo)) {
+      continue;
+    }
+
+    const saida = gerador.escolher(aeroportosOrigem);
+    const chegada = gerador.escolher(aeroportosDestino);
+    const opcoes = trajetos(codigo, saida, chegada)
+      .filter(trajeto => preferencias.maxEscalas === null || preferencias.maxEscalas === undefined ||
+        trajeto.length - 2 <= preferencias.maxEscalas);
+
+    // Voos domésticos têm mais frequências por dia
+    const frequencias = saida.pais === chegada.pais ? gerador.inteiro(1, 3) : gerador.inteiro(1, 2);
+    const partidas = opcoes.flatMap(trajeto => Array.from({ length: frequencias }, (_, frequencia) => ({ trajeto, frequencia })));
+
+    for (const { trajeto, frequencia } of partidas) {
+      const partidaIda = instanteLocal(dataIda, gerador.inteiro(36, 132) * 10, saida); // entre 06:00 e 22:00
+      const ida = montarSegmentos(trajeto, partidaIda, codigo, gerador);
+      const volta = dataVolta
+        ? montarSegmentos([...trajeto].reverse(), instanteLocal(dataVolta, gerador.inteiro(36, 132) * 10, chegada), codigo, gerador)
+        : null;
+      const id = `mock-${hash([config.semente, codigo, ...trajeto.map(a => a.iata), frequencia, dataIda, dataVolta || ''].join('|')).toString(36)}`;
+
+      voos.push({
+        id,
+        preco: calcularPreco(distanciaKm(saida, chegada), trajeto.length - 2, Boolean(dataVolta), preferencias, gerador),
+        moeda: 'BRL',
+        companhia: COMPANHIAS[codigo].nome,
+        codigoCompanhia: codigo,
+        cabine,
+        origem: saida.iata,
+        destino: chegada.iata,
+        dataIda: ida.segmentos[0].partida,
+        dataVolta: volta ? volta.segmentos[0].partida : null,
+        duracaoIda: duracaoTexto(ida.minutos),
+        duracaoVolta: volta ? duracaoTexto(volta.minutos) : null,
+        escalasIda: trajeto.length - 2,
+        escalasVolta: volta ? trajeto.length - 2 : null,
+        detalhes: {
+          ida: ida.segmentos,
+          volta: volta ? volta.segmentos : null
+        },
+        linkReserva: 'MOCK'
+      });
+    }
+  }
+
+  return voos.sort((a, b) => parseFloat(a.preco) - parseFloat(b.preco));
+}
+
+function esperar(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms).unref());
+}
+
+// Falha simulada da chamada (sequência determinística pela semente e pelo número da chamada)
+function falhaSimulada() {
+  chamadas++;
+  if (!config.falha || criarGerador('falha', chamadas).numero() >= config.taxaFalha) {
+    return null;
+  }
+  return config.falha;
+}
+
+// Buscar (interface de provedor): aplica latência e falhas simuladas antes de gerar os voos
+async function searchMock(origem, destino, dataIda, dataVolta, preferencias) {
+  const falha = falhaSimulada();
+  if (config.latenciaMs > 0) {
+    await esperar(config.latenciaMs);
+  }
+
+  if (falha === 'timeout') {
+    // Não responde dentro do timeoutMs do provedor
+    await esperar(module.exports.timeoutMs + 1000);
+    return [];
+  }
+  if (falha === 'transitorio') {
+    const erro = new Error('MOCK: serviço temporariamente indisponível (simulado)');
+    erro.response = { status: 503 };
+    throw erro;
+  }
+  if (falha === 'erro') {
+    const erro = new Error('MOCK: requisição rejeitada pelo provedor (simulado)');
+    erro.response = { status: 400 };
+    throw erro;
+  }
+
+  return gerarVoos(origem, destino, dataIda, dataVolta, preferencias);
+}
+
+// Alterar a configuração em tempo de execução (testes); zera a contagem de chamadas
+function configurar(opcoes = {}) {
+  Object.assign(config, opcoes);
+  chamadas = 0;
+  return { ...config };
+}
+
+module.exports = {
+  nome: 'MOCK',
+  habilitado: () => process.env.MOCK_VOOS === 'true',
+  buscar: searchMock,
+  confiabilidade: 0,
+  timeoutMs: 5000,
+  gerarVoos,
+  configurar
+};
@@ -0,0 +1,245 @@
+// Proteções para chamadas às APIs externas de voos
+// - retentativas com backoff exponencial e jitter para erros transitórios (429, 5xx, timeouts de rede)
+// - circuit breaker: depois de várias falhas seguidas o provedor é pulado durante um resfriamento
+// - limitador token bucket: no máximo N chamadas em rajada, repostas a uma taxa fixa
+// Cada provedor tem suas próprias instâncias (obterProtecao), configuráveis no módulo do provedor.
+
+const PADRAO = {
+  retentativas: { tentativas: 3, baseMs: 300, maxMs: 3000 },
+  circuito: { limiteFalhas: 3, resfriamentoMs: 60000 },
+  limite: { capacidade: 5, porSegundo: 2 }
+};
+
+const CODIGOS_TRANSITORIOS = ['ETIMEDOUT', 'ECONNRESET', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'ESOCKETTIMEDOUT', 'EPIPE'];
+
+function esperar(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Erro que vale a pena tentar de novo (limite de requisições, falha do servidor ou da rede)
+function ehErroTransitorio(error) {
+  const status = error?.response?.status || error?.status;
+  if (status) {
+    return status === 429 || status === 408 || status >= 500;
+  }
+  if (CODIGOS_TRANSITORIOS.includes(error?.code)) {
+    return true;
+  }
+  return /timeout|timed out|socket hang up|ECONNRESET/i.test(error?.message || '');
+}
+
+// Tempo pedido pelo servidor no cabeçalho Retry-After (em ms), se houver
+function retryAfterMs(error) {
+  const valor = error?.response?.headers?.['retry-after'];
+  const segundos = parseFloat(valor);
+  return Number.isFinite(segundos) ? segundos * 1000 : null;
+}
+
+// Rejeitar se a promise não terminar dentro do prazo
+function comTimeout(promise, timeoutMs, nome) {
+  let timer;
+  const limite = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const erro = new Error(`${nome}: tempo limite de ${timeoutMs}ms excedido`);
+      erro.code = 'ETIMEDOUT';
+      reject(erro);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, limite]).finally(() => clearTimeout(timer));
+}
+
+// Executar fn com novas tentativas em erros transitórios
+// Espera entre tentativas: aleatória entre 0 e min(maxMs, baseMs * 2^n) ("full jitter"),
+// ou o Retry-After do servidor, limitado a maxMs
+// Com opcoes.prazo (timestamp), não agenda tentativa que começaria depois dele
+async function comRetentativas(fn, opcoes = {}) {
+  const { tentativas, baseMs, maxMs, prazo } = { ...PADRAO.retentativas, ...opcoes };
+  const transitorio = opcoes.ehTransitorio || ehErroTransitorio;
+
+  for (let tentativa = 1; ; tentativa++) {
+    try {
+      return await fn(tentativa);
+    } catch (error) {
+      if (tentativa >= tentativas || !transitorio(error)) {
+        throw error;
+      }
+
+      const espera = Math.min(maxMs, retryAfterMs(error) ?? Math.random() * Math.min(maxMs, baseMs * 2 ** (tentativa - 1)));
+      if (prazo && Date.now() + espera >= prazo) {
+        throw error;
+      }
+      console.warn(`[Resiliência] ${opcoes.nome || 'Chamada'} falhou (${error.message}); nova tentativa em ${Math.round(espera)}ms`);
+      await esperar(espera);
+    }
+  }
+}
+
+// Circuit breaker: fechado (normal) → aberto (rejeita sem chamar) → meio-aberto (uma chamada de teste)
+// Só erros transitórios contam como falha: um 4xx (oferta expirada, parâmetro inválido) mostra que
+// o provedor está respondendo e não deve desativá-lo
+function criarCircuitBreaker(opcoes = {}) {
+  const { limiteFalhas, resfriamentoMs } = { ...PADRAO.circuito, ...opcoes };
+  const transitorio = opcoes.ehTransitorio || ehErroTransitorio;
+  let estado = 'fechado';
+  let falhas = 0;
+  let abertoEm = null;
+  let ultimoErro = null;
+  let sondando = false;
+
+  function abrir(error) {
+    estado = 'aberto';
+    abertoEm = Date.now();
+    ultimoErro = error.message;
+    console.warn(`[Resiliência] Circuito de ${opcoes.nome || 'provedor'} aberto por ${resfriamentoMs}ms após ${falhas} falha(s)`);
+  }
+
+  function fechar() {
+    estado = 'fechado';
+    falhas = 0;
+    ultimoErro = null;
+  }
+
+  function rejeitar() {
+    const erro = new Error(`${opcoes.nome || 'Provedor'} temporariamente desativado após falhas seguidas (${ultimoErro})`);
+    erro.code = 'CIRCUITO_ABERTO';
+    throw erro;
+  }
+
+  async function executar(fn) {
+    if (estado === 'aberto') {
+      if (Date.now() - abertoEm < resfriamentoMs) {
+        rejeitar();
+      }
+      estado = 'meio-aberto';
+    }
+
+    // Meio-aberto: só uma chamada de teste por vez; as demais são rejeitadas até ela terminar
+    const sonda = estado === 'meio-aberto';
+    if (sonda) {
+      if (sondando) {
+        rejeitar();
+      }
+      sondando = true;
+    }
+
+    try {
+      const resultado = await fn();
+      fechar();
+      return resultado;
+    } catch (error) {
+      if (!transitorio(error)) {
+        fechar();
+      } else {
+        falhas++;
+        if (sonda || falhas >= limiteFalhas) {
+          abrir(error);
+        } else {
+          ultimoErro = error.message;
+        }
+      }
+      throw error;
+    } finally {
+      if (sonda) {
+        sondando = false;
+      }
+    }
+  }
+
+  function situacao() {
+    return {
+      estado,
+      falhas,
+      abertoEm: abertoEm ? new Date(abertoEm).toISOString() : null,
+      reabreEm: estado === 'aberto' ? new Date(abertoEm + resfriamentoMs).toISOString() : null,
+      ultimoErro
+    };
+  }
+
+  return { executar, situacao };
+}
+
+// Limitador token bucket: consumir() aguarda até haver uma ficha disponível
+function criarLimitador(opcoes = {}) {
+  const { capacidade, porSegundo } = { ...PADRAO.limite, ...opcoes };
+  let fichas = capacidade;
+  let atualizadoEm = Date.now();
+  let fila = Promise.resolve();
+
+  function repor() {
+    const agora = Date.now();
+    fichas = Math.min(capacidade, fichas + ((agora - atualizadoEm) / 1000) * porSegundo);
+    atualizadoEm = agora;
+  }
+
+  // As esperas são encadeadas para que as fichas sejam entregues na ordem de chegada
+  function consumir() {
+    const vez = fila.then(async () => {
+      repor();
+      if (fichas < 1) {
+        await esperar(((1 - fichas) / porSegundo) * 1000);
+        repor();
+      }
+      fichas -= 1;
+    });
+    fila = vez.catch(() => {});
+    return vez;
+  }
+
+  function situacao() {
+    repor();
+    return { capacidade, porSegundo, disponiveis: Math.floor(fichas) };
+  }
+
+  return { consumir, situacao };
+}
+
+const protecoes = new Map();
+
+// Instâncias de circuito e limitador do provedor (criadas no primeiro uso)
+// O provedor pode declarar retentativas, circuito e limite para sobrescrever o padrão
+// Cada operação (busca, preço...) tem seu próprio circuito, para que falhas de uma não desativem
+// a outra; o limitador é um só por provedor, já que a cota da API é compartilhada
+function obterProtecao(provedor, operacao = 'busca') {
+  if (!protecoes.has(provedor.nome)) {
+    protecoes.set(provedor.nome, {
+      retentativas: { ...PADRAO.retentativas, ...provedor.retentativas, nome: provedor.nome },
+      circuitos: {},
+      limitador: criarLimitador(provedor.limite)
+    });
+  }
+
+  const protecao = protecoes.get(provedor.nome);
+  if (!protecao.circuitos[operacao]) {
+    const nome = operacao === 'busca' ? provedor.nome : `${provedor.nome} (${operacao})`;
+    protecao.circuitos[operacao] = criarCircuitBreaker({ ...provedor.circuito, nome });
+  }
+
+  return { ...protecao, circuito: protecao.circuitos[operacao] };
+}
+
+// Chamar a API do provedor com todas as proteções: circuito → retentativas → limitador → fn
+// provedor.timeoutMs vale para a chamada inteira (esperas e novas tentativas incluídas)
+function executarProtegido(provedor, fn, operacao = 'busca') {
+  const { retentativas, circuito, limitador } = obterProtecao(provedor, operacao);
+  const prazo = Date.now() + provedor.timeoutMs;
+
+  return circuito.executar(() => comRetentativas(
+    () => comTimeout(
+      limitador.consumir().then(fn),
+      Math.max(prazo - Date.now(), 0),
+      provedor.nome
+    ),
+    { ...retentativas, prazo }
+  ));
+}
+
+module.exports = {
+  ehErroTransitorio,
+  comTimeout,
+  comRetentativas,
+  criarCircuitBreaker,
+  criarLimitador,
+  obterProtecao,
+  executarProtegido
+};
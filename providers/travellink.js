@@ -0,0 +1,522 @@
+// Provedor TravelLink/Wooba (API principal - SOAP/WCF, sandbox público)
+
+const soap = require('soap');
+const { resolverCodigo, aeroportosDoCodigo } = require('../aeroportosService');
+const { comGravacao } = require('./gravacao');
+const { codigoDaCompanhia, nomeDaCompanhia } = require('../companhiasService');
+
+// TRAVELLINK_DEBUG=true mostra os parâmetros e a estrutura da resposta bruta de cada busca
+const DEPURAR = process.env.TRAVELLINK_DEBUG === 'true';
+
+function depurar(...args) {
+  if (DEPURAR) {
+    console.log(...args);
+  }
+}
+
+const config = {
+  wsdlUrl: 'http://wooba-sandbox-api.travellink.com.br/wcftravellinkJson/AereoNoSession.svc?wsdl',
+  serviceUrl: 'http://wooba-sandbox-api.travellink.com.br/wcftravellinkJson/AereoNoSession.svc'
+};
+
+// Cliente SOAP reaproveitado entre buscas (baixar e interpretar o WSDL a cada busca é lento)
+// Se a criação falhar, o cache é limpo para que a próxima busca tente de novo
+let clientePromise = null;
+
+function obterCliente() {
+  if (!clientePromise) {
+    clientePromise = soap.createClientAsync(config.wsdlUrl, {
+      endpoint: config.serviceUrl,
+      timeout: 30000
+    }).catch(error => {
+      clientePromise = null;
+      throw error;
+    });
+  }
+  return clientePromise;
+}
+
+// Chamada SOAP ao método Disponibilidade (resposta bruta, interpretada por processarResultadosTravelLink)
+async function chamarDisponibilidade(params) {
+  const client = await obterCliente();
+
+  // Usar o método DisponibilidadeAsync (versão correta para Promises)
+  if (client.DisponibilidadeAsync) {
+    depurar('[MultiAPI] Usando DisponibilidadeAsync...');
+    return client.DisponibilidadeAsync(params);
+  }
+
+  // Se não tiver Async, criar Promise wrapper
+  if (!client.Disponibilidade) {
+    throw new Error('Método Disponibilidade não encontrado na API TravelLink');
+  }
+  depurar('[MultiAPI] Convertendo Disponibilidade para Promise...');
+  return new Promise((resolve, reject) => {
+    client.Disponibilidade(params, (err, result) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+// Buscar disponibilidade (método Disponibilidade)
+async function searchTravelLink(origem, destino, dataIda, dataVolta, preferencias = {}) {
+  try {
+    const origemCode = resolverCodigo(origem);
+    const destinoCode = resolverCodigo(destino);
+    
+    // Formatar data para YYYY-MM-DD
+    const dataIdaFormatted = new Date(dataIda).toISOString().split('T')[0];
+    const dataVoltaFormatted = dataVolta ? new Date(dataVolta).toISOString().split('T')[0] : null;
+
+    console.log(`[MultiAPI] Buscando voos na TravelLink: ${origemCode} → ${destinoCode} em ${dataIdaFormatted}`);
+
+    // Preparar parâmetros para o método Disponibilidade
+    // A API TravelLink espera parâmetros específicos para Disponibilidade
+    const params = {
+      origem: origemCode,
+      destino: destinoCode,
+      dataIda: dataIdaFormatted,
+      adultos: preferencias.passageiros?.adultos || 1,
+      criancas: preferencias.passageiros?.criancas || 0,
+      bebes: preferencias.passageiros?.bebes || 0
+    };
+
+    if (dataVoltaFormatted) {
+      params.dataVolta = dataVoltaFormatted;
+    }
+
+    depurar(`[MultiAPI] Chamando método Disponibilidade com parâmetros:`, JSON.stringify(params, null, 2));
+    
+    // Chamar o método Disponibilidade (ou reproduzir a resposta gravada, ver gravacao.js)
+    let resultado = null;
+    try {
+      resultado = await comGravacao('TRAVELLINK', 'disponibilidade', {
+        parametros: params,
+        chamada: [origem, destino, dataIda, dataVolta, preferencias]
+      }, () => chamarDisponibilidade(params));
+      
+      depurar('[MultiAPI] Resposta recebida do método Disponibilidade');
+      depurar('[MultiAPI] Tipo do resultado:', typeof resultado);
+      depurar('[MultiAPI] É array?', Array.isArray(resultado));
+      
+      if (resultado && typeof resultado === 'object') {
+        depurar('[MultiAPI] Chaves do resultado:', Object.keys(resultado));
+      }
+    } catch (err) {
+      console.error('[MultiAPI] Erro ao chamar Disponibilidade:', err.message);
+      depurar('[MultiAPI] Detalhes do erro:', err.response?.data || err.body || err);
+      
+      // Se o erro for sobre callback, tentar outra abordagem
+      if (err.message && err.message.includes('callback')) {
+        console.log('[MultiAPI] Erro de callback detectado, tentando abordagem alternativa...');
+        // Retornar array vazio em vez de crashar
+        return [];
+      }
+      
+      // Manter código e resposta HTTP para que timeouts e 5xx sejam tratados como transitórios
+      const erro = new Error(`Erro ao buscar disponibilidade: ${err.message}`);
+      erro.code = err.code;
+      erro.response = err.response;
+      throw erro;
+    }
+
+    // Verificar se resultado é válido (pode ser array vazio ou objeto vazio)
+    if (resultado === null || resultado === undefined) {
+      depurar('[MultiAPI] Resultado é null/undefined, retornando array vazio');
+      return [];
+    }
+    
+    // Se resultado for array vazio, retornar
+    if (Array.isArray(resultado) && resultado.length === 0) {
+      depurar('[MultiAPI] Resultado é array vazio');
+      return [];
+    }
+    
+    // DisponibilidadeAsync devolve [resultado, xml recebido, cabeçalho SOAP, xml enviado]
+    if (Array.isArray(resultado) && typeof resultado[1] === 'string') {
+      resultado = resultado[0] || {};
+    }
+
+    // Log do resultado (limitado para não sobrecarregar)
+    if (DEPURAR && resultado && typeof resultado === 'object') {
+      depurar('[MultiAPI] Resultado (primeiros 1000 chars):', JSON.stringify(resultado, null, 2).substring(0, 1000));
+    }
+
+    // Processar resultado (estrutura pode variar)
+    const voos = processarResultadosTravelLink(resultado, origemCode, destinoCode);
+    
+    console.log(`[MultiAPI] TravelLink: ${voos.length} voo(s) encontrado(s)`);
+    
+    // Se não encontrou voos, retornar array vazio (não é erro)
+    if (voos.length === 0) {
+      console.log('[MultiAPI] Nenhum voo encontrado na TravelLink para os critérios informados');
+    }
+    
+    return voos;
+  } catch (error) {
+    console.error('[MultiAPI] Erro ao buscar na TravelLink:', error.message);
+    depurar('[MultiAPI] Stack:', error.stack);
+    // Repassar o erro para que a busca multi-API o registre nas estatísticas
+    throw error;
+  }
+}
+
+// Processar resultados da API TravelLink
+function processarResultadosTravelLink(resultado, origemCode, destinoCode) {
+  const voos = [];
+  
+  try {
+    // Tentar diferentes estruturas de resposta da API TravelLink
+    depurar('[MultiAPI] Processando resultado da API TravelLink...');
+    depurar('[MultiAPI] Chaves do resultado:', Object.keys(resultado || {}));
+    
+    let dados = null;
+    
+    // Estruturas comuns da API TravelLink
+    if (resultado.DisponibilidadeResult) {
+      dados = resultado.DisponibilidadeResult;
+      depurar('[MultiAPI] Usando DisponibilidadeResult');
+    } else if (resultado.disponibilidadeResult) {
+      dados = resultado.disponibilidadeResult;
+      depurar('[MultiAPI] Usando disponibilidadeResult');
+    } else if (resultado.return) {
+      dados = resultado.return;
+      depurar('[MultiAPI] Usando return');
+    } else if (resultado.data) {
+      dados = resultado.data;
+      depurar('[MultiAPI] Usando data');
+    } else if (resultado.Voos) {
+      dados = resultado.Voos;
+      depurar('[MultiAPI] Usando Voos');
+    } else if (resultado.voos) {
+      dados = resultado.voos;
+      depurar('[MultiAPI] Usando voos');
+    } else if (resultado.Flights) {
+      dados = resultado.Flights;
+      depurar('[MultiAPI] Usando Flights');
+    } else if (resultado.flights) {
+      dados = resultado.flights;
+      depurar('[MultiAPI] Usando flights');
+    } else if (Array.isArray(resultado)) {
+      dados = resultado;
+      depurar('[MultiAPI] Resultado é um array direto');
+    } else {
+      dados = resultado;
+      depurar('[MultiAPI] Usando resultado completo');
+    }
+    
+    depurar('[MultiAPI] Tipo de dados:', typeof dados, Array.isArray(dados) ? '(array)' : '(objeto)');
+    if (dados && typeof dados === 'object' && !Array.isArray(dados)) {
+      depurar('[MultiAPI] Chaves dos dados:', Object.keys(dados));
+    }
+
+    // Se dados for null/undefined ou array vazio, retornar array vazio
+    if (!dados || (Array.isArray(dados) && dados.length === 0)) {
+      depurar('[MultiAPI] Dados vazios ou nulos, nenhum voo para processar');
+      return [];
+    }
+    
+    // Se for array, processar cada item
+    if (Array.isArray(dados)) {
+      depurar(`[MultiAPI] Processando ${dados.length} voo(s) do array`);
+      dados.forEach((voo, index) => {
+        if (voo && typeof voo === 'object') {
+          voos.push(formatarVooTravelLink(voo, origemCode, destinoCode, index));
+        }
+      });
+    } 
+    // Se vierem as opções de ida e de volta separadas, combinar (preço por trecho)
+    else if (campo(dados, ['VoosIda', 'OpcoesIda'])) {
+      const idas = comoLista(campo(dados, ['VoosIda', 'OpcoesIda']));
+      const voltas = comoLista(campo(dados, ['VoosVolta', 'OpcoesVolta']));
+      depurar(`[MultiAPI] Processando ${idas.length} opção(ões) de ida e ${voltas.length} de volta`);
+      voos.push(...(voltas.length > 0
+        ? combinarTrechos(idas, voltas, origemCode, destinoCode)
+        : idas.map((ida, index) => formatarVooTravelLink(ida, origemCode, destinoCode, index))));
+    }
+    // Se for objeto com array interno
+    else if (dados && typeof dados === 'object') {
+      const listaVoos = dados.Voos || dados.voos || dados.flights || dados.resultado || dados.ListaVoos || dados.listaVoos;
+      if (Array.isArray(listaVoos) && listaVoos.length > 0) {
+        depurar(`[MultiAPI] Processando ${listaVoos.length} voo(s) do objeto`);
+        listaVoos.forEach((voo, index) => {
+          if (voo && typeof voo === 'object') {
+            voos.push(formatarVooTravelLink(voo, origemCode, destinoCode, index));
+          }
+        });
+      } else if (Object.keys(dados).length > 0 && !Array.isArray(dados)) {
+        // Se for objeto único com dados, tentar processar como um voo
+        depurar('[MultiAPI] Processando objeto único como voo');
+        voos.push(formatarVooTravelLink(dados, origemCode, destinoCode, 0));
+      } else {
+        depurar('[MultiAPI] Objeto vazio ou sem dados de voos');
+      }
+    }
+  } catch (error) {
+    console.error('[MultiAPI] Erro ao processar resultados TravelLink:', error.message);
+  }
+
+  return voos;
+}
+
+// Máximo de combinações ida x volta quando a API devolve as opções de cada trecho separadas
+const MAX_COMBINACOES = 30;
+
+// Primeiro campo preenchido entre os nomes alternativos (ex.: Companhia/companhia/Airline/airline)
+function campo(obj, nomes) {
+  if (!obj || typeof obj !== 'object') {
+    return undefined;
+  }
+  for (const nome of nomes) {
+    for (const chave of [nome, nome.charAt(0).toLowerCase() + nome.slice(1)]) {
+      if (obj[chave] !== undefined && obj[chave] !== null && obj[chave] !== '') {
+        return obj[chave];
+      }
+    }
+  }
+  return undefined;
+}
+
+// O SOAP devolve um objeto quando a lista tem um item só (e às vezes embrulha a lista: { Segmento: [...] })
+function comoLista(valor) {
+  if (!valor) {
+    return [];
+  }
+  if (Array.isArray(valor)) {
+    return valor;
+  }
+  const chaves = Object.keys(valor);
+  if (chaves.length === 1 && typeof valor[chaves[0]] === 'object') {
+    return comoLista(valor[chaves[0]]);
+  }
+  return [valor];
+}
+
+const CAMPOS_PRECO = ['Preco', 'Valor', 'Price', 'Tarifa'];
+
+function precoDe(obj, nomes = CAMPOS_PRECO) {
+  const valor = parseFloat(campo(obj, nomes));
+  return Number.isFinite(valor) ? valor : null;
+}
+
+// Data + hora da API ("2027-01-10" + "08:05") → "2027-01-10T08:05:00"
+function dataHora(data, hora) {
+  if (!data) {
+    return '';
+  }
+  if (String(data).includes('T') || !hora) {
+    return String(data);
+  }
+  return `${data}T${String(hora).length === 5 ? `${hora}:00` : hora}`;
+}
+
+// Duração no formato das demais APIs ("1h 5m"), a partir de "01:05" ou "PT1H5M"
+function formatarDuracao(duracao) {
+  const texto = String(duracao || '');
+  const relogio = texto.match(/^(\d+):(\d{2})/);
+  const iso = texto.match(/^PT(?:(\d+)H)?(?:(\d+)M)?$/);
+  if (relogio) {
+    return `${parseInt(relogio[1])}h ${parseInt(relogio[2])}m`;
+  }
+  if (iso && (iso[1] || iso[2])) {
+    return `${parseInt(iso[1]) || 0}h ${parseInt(iso[2]) || 0}m`;
+  }
+  return texto || 'N/A';
+}
+
+// Duração do segmento no formato ISO das demais APIs ("01:05" → "PT1H5M")
+function duracaoIso(duracao) {
+  const relogio = String(duracao || '').match(/^(\d+):(\d{2})/);
+  return relogio ? `PT${parseInt(relogio[1])}H${parseInt(relogio[2])}M` : duracao || 'N/A';
+}
+
+// Formatar um segmento (um voo operado) no formato de detalhes
+function formatarSegmento(seg, origemCode, destinoCode) {
+  const codigo = campo(seg, ['Companhia', 'CodigoCompanhia', 'Airline']) || 'N/A';
+  const dataPartida = campo(seg, ['DataPartida', 'DepartureDate']);
+  const dataChegada = campo(seg, ['DataChegada', 'ArrivalDate']) || dataPartida;
+  const horaChegada = campo(seg, ['HoraChegada', 'ArrivalTime']);
+
+  return {
+    origem: campo(seg, ['Origem', 'Origin']) || origemCode,
+    destino: campo(seg, ['Destino', 'Destination']) || destinoCode,
+    partida: dataHora(dataPartida, campo(seg, ['HoraPartida', 'DepartureTime'])),
+    chegada: (horaChegada || String(dataChegada || '').includes('T')) ? dataHora(dataChegada, horaChegada) : '',
+    duracao: duracaoIso(campo(seg, ['Duracao', 'Duration'])),
+    companhia: nomeDaCompanhia(codigo),
+    codigoCompanhia: codigoDaCompanhia(codigo),
+    numeroVoo: String(campo(seg, ['NumeroVoo', 'FlightNumber']) || '')
+  };
+}
+
+// Segmentos de um trecho (lista de conexões ou o próprio trecho como único segmento)
+function segmentosDoTrecho(trecho) {
+  const lista = campo(trecho, ['Segmentos', 'Segments', 'Voos', 'Flights']);
+  return (lista ? comoLista(lista) : [trecho]).filter(seg => seg && typeof seg === 'object');
+}
+
+// Duração total de segmentos em conexão: voos + esperas entre eles
+// (chegada e partida seguinte são no mesmo aeroporto, então o horário local basta)
+function duracaoComConexoes(segmentos) {
+  const minutos = iso => {
+    const partes = String(iso || '').match(/^PT(?:(\d+)H)?(?:(\d+)M)?$/);
+    return partes && (partes[1] || partes[2]) ? (parseInt(partes[1]) || 0) * 60 + (parseInt(partes[2]) || 0) : null;
+  };
+
+  let total = 0;
+  for (let i = 0; i < segmentos.length; i++) {
+    const voo = minutos(segmentos[i].duracao);
+    if (voo === null) {
+      return null;
+    }
+    total += voo;
+    if (i > 0) {
+      const espera = (new Date(segmentos[i].partida) - new Date(segmentos[i - 1].chegada)) / 60000;
+      if (!Number.isFinite(espera) || espera < 0) {
+        return null;
+      }
+      total += espera;
+    }
+  }
+  return `PT${Math.floor(total / 60)}H${total % 60}M`;
+}
+
+// Resumo de um trecho (ida ou volta): segmentos, escalas, duração e preço do trecho
+// O trecho pode trazer a lista de segmentos (conexões) ou ser ele próprio o único segmento
+function formatarTrecho(trecho, origemCode, destinoCode) {
+  const segmentos = segmentosDoTrecho(trecho).map(seg => formatarSegmento(seg, origemCode, destinoCode));
+  // Escalas sem troca de aeronave não aparecem como segmentos: vale o maior dos dois
+  const escalas = Math.max(segmentos.length - 1, parseInt(campo(trecho, ['Escalas', 'Stops'])) || 0);
+  const duracao = campo(trecho, ['DuracaoTotal', 'Duracao', 'Duration']) ||
+    (segmentos.length === 1 ? segmentos[0].duracao : duracaoComConexoes(segmentos));
+
+  return {
+    segmentos,
+    escalas,
+    duracao: formatarDuracao(duracao),
+    preco: precoDe(trecho)
+  };
+}
+
+// Trecho é a volta? (quando ida e volta vêm numa lista única de trechos)
+function ehVolta(trecho) {
+  const sentido = String(campo(trecho, ['Sentido', 'Tipo', 'Direcao', 'Direction']) || '').toUpperCase();
+  return ['VOLTA', 'V', 'RETORNO', 'INBOUND', 'RETURN'].includes(sentido);
+}
+
+// Trecho que parte do destino da busca (cidade com vários aeroportos: qualquer um deles)
+function parteDoDestino(trecho, destinoCode) {
+  const origem = String(campo(segmentosDoTrecho(trecho)[0], ['Origem', 'Origin']) || '').toUpperCase();
+  return Boolean(origem) && (origem === destinoCode || aeroportosDoCodigo(destinoCode).some(a => a.iata === origem));
+}
+
+// Vários trechos do mesmo sentido (ex.: GRU→BSB e BSB→MAO) viram um trecho só, com as conexões
+// O preço só é somado quando todos os trechos trazem o seu
+function unirTrechos(trechos) {
+  if (trechos.length <= 1) {
+    return trechos[0];
+  }
+
+  const precos = trechos.map(trecho => precoDe(trecho));
+  const unido = { Segmentos: trechos.flatMap(segmentosDoTrecho) };
+  if (precos.every(preco => preco !== null)) {
+    unido.Preco = precos.reduce((total, preco) => total + preco, 0);
+  }
+  return unido;
+}
+
+// Separar ida e volta do voo (estrutura pode variar):
+// { Ida, Volta }, { Trechos: [...] } ou o próprio voo como ida (somente ida, formato antigo)
+// Numa lista de trechos, a volta é marcada pelo sentido ou começa no trecho que parte do destino
+// da busca; sem nenhum dos dois, os trechos são conexões da ida (ex.: GRU→BSB, BSB→MAO somente ida)
+function trechosDoVoo(voo, destinoCode) {
+  const ida = campo(voo, ['Ida', 'TrechoIda', 'Outbound']);
+  if (ida) {
+    return { ida, volta: campo(voo, ['Volta', 'TrechoVolta', 'Inbound', 'Return']) || null };
+  }
+
+  const trechos = comoLista(campo(voo, ['Trechos', 'Legs', 'Itinerarios']))
+    .filter(trecho => trecho && typeof trecho === 'object');
+  if (trechos.length > 0) {
+    const voltas = trechos.filter(ehVolta);
+    if (voltas.length > 0) {
+      const idas = trechos.filter(trecho => !ehVolta(trecho));
+      return { ida: unirTrechos(idas), volta: unirTrechos(voltas) };
+    }
+
+    const inicioVolta = trechos.findIndex((trecho, indice) => indice > 0 && parteDoDestino(trecho, destinoCode));
+    return inicioVolta > 0
+      ? { ida: unirTrechos(trechos.slice(0, inicioVolta)), volta: unirTrechos(trechos.slice(inicioVolta)) }
+      : { ida: unirTrechos(trechos), volta: null };
+  }
+
+  return { ida: voo, volta: null };
+}
+
+// Formatar voo da TravelLink para formato padrão (ida e, se houver, volta com conexões)
+function formatarVooTravelLink(voo, origemCode, destinoCode, index) {
+  const trechos = trechosDoVoo(voo, destinoCode);
+  const ida = formatarTrecho(trechos.ida, origemCode, destinoCode);
+  const volta = trechos.volta ? formatarTrecho(trechos.volta, destinoCode, origemCode) : null;
+
+  // Preço por trecho: campos PrecoIda/PrecoVolta do voo ou o preço de cada trecho (quando são objetos separados)
+  const precoIda = precoDe(voo, ['PrecoIda', 'ValorIda']) ?? (trechos.ida !== voo ? ida.preco : null);
+  const precoVolta = volta ? (precoDe(voo, ['PrecoVolta', 'ValorVolta']) ?? volta.preco) : null;
+  const precoTotal = precoDe(voo, ['PrecoTotal', 'ValorTotal', 'TotalPrice', ...CAMPOS_PRECO]) ??
+    (precoIda !== null && (!volta || precoVolta !== null) ? precoIda + (precoVolta || 0) : null);
+
+  const primeiro = ida.segmentos[0] || {};
+  const ultimo = ida.segmentos[ida.segmentos.length - 1] || {};
+
+  return {
+    id: campo(voo, ['Id']) || `travellink-${index}-${Date.now()}`,
+    preco: precoTotal || 0,
+    precoPorTrecho: precoIda !== null || precoVolta !== null ? { ida: precoIda, volta: precoVolta } : null,
+    moeda: campo(voo, ['Moeda', 'Currency']) || 'BRL',
+    companhia: primeiro.companhia || 'N/A',
+    codigoCompanhia: primeiro.codigoCompanhia || 'N/A',
+    origem: primeiro.origem || origemCode,
+    destino: ultimo.destino || destinoCode,
+    dataIda: primeiro.partida || new Date().toISOString(),
+    dataVolta: volta ? volta.segmentos[0]?.partida || null : null,
+    duracaoIda: ida.duracao,
+    duracaoVolta: volta ? volta.duracao : null,
+    escalasIda: ida.escalas,
+    escalasVolta: volta ? volta.escalas : null,
+    detalhes: {
+      ida: ida.segmentos,
+      volta: volta ? volta.segmentos : null
+    },
+    linkReserva: 'TRAVELLINK',
+    _originalOffer: voo
+  };
+}
+
+// Ida e volta cotadas separadamente: combinar as opções (as mais baratas primeiro)
+function combinarTrechos(idas, voltas, origemCode, destinoCode) {
+  const preco = trecho => precoDe(trecho) ?? Infinity;
+  const combinacoes = idas.flatMap(ida => voltas.map(volta => ({ Ida: ida, Volta: volta })))
+    .sort((a, b) => (preco(a.Ida) + preco(a.Volta)) - (preco(b.Ida) + preco(b.Volta)))
+    .slice(0, MAX_COMBINACOES);
+
+  return combinacoes.map((voo, index) => {
+    const formatado = formatarVooTravelLink(voo, origemCode, destinoCode, index);
+    const ids = [campo(voo.Ida, ['Id']), campo(voo.Volta, ['Id'])];
+    if (ids.every(Boolean)) {
+      formatado.id = ids.join('+');
+    }
+    return formatado;
+  });
+}
+
+module.exports = {
+  nome: 'TRAVELLINK',
+  habilitado: () => true, // Sempre habilitada (sandbox público)
+  buscar: searchTravelLink,
+  confiabilidade: 0.4,
+  timeoutMs: 35000
+};
@@ -0,0 +1,353 @@
+// Serviço de Solicitações
+// Esquema dos dados informados pelo solicitante (criação, validação e edição)
+
+// Campos que o solicitante pode alterar (dados da viagem, nunca status/aprovações/cotações)
+const CAMPOS_EDITAVEIS = [
+  'tipoServico',
+  'nomeCompleto',
+  'empresa',
+  'gestor',
+  'nomeViajantes',
+  'projeto',
+  'departamento',
+  'motivoViagem',
+  'justificativa',
+  'urgencia',
+  'flexibilidade',
+  'paisOrigem',
+  'paisDestino',
+  'origem',
+  'destino',
+  'dataIda',
+  'dataVolta',
+  'valorEstimado',
+  'observacoes',
+  'vooEscolhido' // Voo escolhido pelo solicitante na busca (só os campos de CAMPOS_VOO são guardados)
+];
+
+// Nomes antigos de campos enviados por versões anteriores do formulário → nome canônico
+const CAMPOS_LEGADOS = {
+  dataPartida: 'dataIda',
+  dataRetorno: 'dataVolta',
+  cidadeOrigem: 'origem',
+  cidadeDestino: 'destino'
+};
+
+const CAMPOS_OBRIGATORIOS = ['origem', 'destino', 'dataIda', 'justificativa', 'nomeViajantes'];
+
+// Campos do voo escolhido (formato normalizado da busca) e o tipo de cada um; o resto do objeto é descartado
+const CAMPOS_VOO = {
+  id: 'texto',
+  fonte: 'texto',
+  companhia: 'texto',
+  codigoCompanhia: 'texto',
+  numeroVoo: 'texto',
+  origem: 'texto',
+  destino: 'texto',
+  dataIda: 'data',
+  dataVolta: 'data',
+  preco: 'numero',
+  moeda: 'moeda',
+  cabine: 'texto',
+  escalasIda: 'numero',
+  escalasVolta: 'numero'
+};
+
+const CAMPOS_VOO_OBRIGATORIOS = ['companhia', 'origem', 'destino', 'dataIda', 'preco'];
+
+const MAX_TEXTO_VOO = 120;
+
+const TIPOS_SERVICO = ['Passagem aérea', 'Passagem rodoviária', 'Hospedagem', 'Locação de veículo'];
+
+const URGENCIAS = ['SIM', 'NÃO'];
+
+const FORMATO_DATA = /^\d{4}-\d{2}-\d{2}$/;
+
+// Remover acentos e padronizar para comparação
+function normalizarTexto(texto) {
+  return String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+}
+
+// Data no formato AAAA-MM-DD e existente no calendário
+function dataValida(valor) {
+  if (typeof valor !== 'string' || !FORMATO_DATA.test(valor)) {
+    return false;
+  }
+  const data = new Date(`${valor}T00:00:00Z`);
+  return !isNaN(data) && data.toISOString().slice(0, 10) === valor;
+}
+
+// Nomes dos viajantes sempre como lista; texto (formulário antigo) separado por vírgula, ponto e vírgula ou linha
+function listaDeViajantes(valor) {
+  if (typeof valor === 'string') {
+    return valor.split(/[,;\n]/).map(nome => nome.trim()).filter(Boolean);
+  }
+  if (Array.isArray(valor)) {
+    return valor.map(nome => (typeof nome === 'string' ? nome.trim() : nome));
+  }
+  return valor;
+}
+
+// Voo escolhido apenas com os campos conhecidos; o número do voo pode vir do primeiro segmento da ida
+function vooEscolhidoDe(valor) {
+  if (!valor || typeof valor !== 'object' || Array.isArray(valor)) {
+    return valor;
+  }
+
+  const voo = {};
+  for (const [campo, tipo] of Object.entries(CAMPOS_VOO)) {
+    let item = valor[campo];
+    if (campo === 'numeroVoo' && (item === undefined || item === null)) {
+      item = valor.detalhes?.ida?.[0]?.numeroVoo;
+    }
+    if (typeof item === 'string') {
+      item = item.trim();
+    }
+    if (item === undefined || item === null || item === '') {
+      continue;
+    }
+    if (tipo === 'numero' && typeof item === 'string') {
+      const numero = Number(item.replace(',', '.'));
+      item = isNaN(numero) ? item : numero;
+    }
+    if (tipo === 'moeda' && typeof item === 'string') {
+      item = item.toUpperCase();
+    }
+    voo[campo] = campo === 'numeroVoo' && typeof item === 'number' ? String(item) : item;
+  }
+  return voo;
+}
+
+// Erros do voo escolhido (já reduzido por vooEscolhidoDe)
+function errosDoVoo(voo) {
+  if (typeof voo !== 'object' || Array.isArray(voo)) {
+    return ['Voo escolhido inválido'];
+  }
+
+  const erros = CAMPOS_VOO_OBRIGATORIOS
+    .filter(campo => voo[campo] === undefined)
+    .map(campo => `Voo escolhido: informe ${campo}`);
+
+  for (const [campo, item] of Object.entries(voo)) {
+    const tipo = CAMPOS_VOO[campo];
+    const valido = tipo === 'numero' ? typeof item === 'number' && Number.isFinite(item) && item >= 0
+      : tipo === 'moeda' ? typeof item === 'string' && /^[A-Z]{3}$/.test(item)
+      : tipo === 'data' ? typeof item === 'string' && !isNaN(Date.parse(item))
+      : typeof item === 'string' && item.length <= MAX_TEXTO_VOO;
+    if (!valido) {
+      erros.push(`Voo escolhido: ${campo} inválido`);
+    }
+  }
+  return erros;
+}
+
+// Padronizar o valor de um campo (espaços, urgência SIM/NÃO, tipo de serviço, valor numérico)
+function normalizarCampo(campo, valor) {
+  if (typeof valor === 'string') {
+    valor = valor.trim();
+  }
+
+  if (campo === 'urgencia') {
+    const texto = normalizarTexto(valor);
+    if (valor === true || texto === 'sim' || texto === 'true') return 'SIM';
+    if (valor === false || texto === 'nao' || texto === 'false') return 'NÃO';
+  }
+
+  if (campo === 'tipoServico') {
+    return TIPOS_SERVICO.find(tipo => normalizarTexto(tipo) === normalizarTexto(valor)) || valor;
+  }
+
+  if (campo === 'nomeViajantes') {
+    return listaDeViajantes(valor);
+  }
+
+  if (campo === 'vooEscolhido') {
+    return valor === '' ? null : vooEscolhidoDe(valor);
+  }
+
+  if (campo === 'valorEstimado' && typeof valor === 'string' && valor !== '') {
+    const numero = Number(valor.replace(',', '.'));
+    return isNaN(numero) ? valor : numero;
+  }
+
+  return valor === '' ? null : valor;
+}
+
+// Montar os dados da solicitação a partir do payload: apenas campos conhecidos,
+// nomes legados convertidos para os canônicos e valores padronizados
+function criarSolicitacao(dados) {
+  const solicitacao = {};
+
+  for (const [legado, canonico] of Object.entries(CAMPOS_LEGADOS)) {
+    if (dados[canonico] === undefined && dados[legado] !== undefined) {
+      solicitacao[canonico] = normalizarCampo(canonico, dados[legado]);
+    }
+  }
+
+  for (const campo of CAMPOS_EDITAVEIS) {
+    if (dados[campo] !== undefined) {
+      solicitacao[campo] = normalizarCampo(campo, dados[campo]);
+    }
+  }
+
+  return solicitacao;
+}
+
+// Validar dados da solicitação
+// campos: quando informado, valida apenas esses campos (e as regras que os envolvem)
+function validarSolicitacao(solicitacao, campos = null) {
+  const erros = [];
+  const verificar = (...nomes) => !campos || nomes.some(nome => campos.includes(nome));
+  const vazio = valor => valor === undefined || valor === null || String(valor).trim() === '';
+
+  CAMPOS_OBRIGATORIOS
+    .filter(campo => verificar(campo) && vazio(solicitacao[campo]))
+    .forEach(campo => erros.push(`Campo obrigatório: ${campo}`));
+
+  if (verificar('dataIda') && !vazio(solicitacao.dataIda) && !dataValida(solicitacao.dataIda)) {
+    erros.push('Data de ida inválida (use o formato AAAA-MM-DD)');
+  }
+
+  if (verificar('dataVolta') && !vazio(solicitacao.dataVolta) && !dataValida(solicitacao.dataVolta)) {
+    erros.push('Data de volta inválida (use o formato AAAA-MM-DD)');
+  }
+
+  if (verificar('dataIda', 'dataVolta') && dataValida(solicitacao.dataIda) && dataValida(solicitacao.dataVolta) &&
+      solicitacao.dataVolta < solicitacao.dataIda) {
+    erros.push('Data de volta deve ser igual ou posterior à data de ida');
+  }
+
+  if (verificar('origem', 'destino') && !vazio(solicitacao.origem) && !vazio(solicitacao.destino) &&
+      normalizarTexto(solicitacao.origem) === normalizarTexto(solicitacao.destino)) {
+    erros.push('Origem e destino devem ser diferentes');
+  }
+
+  // Lista vazia já cai em "Campo obrigatório" acima
+  const nomes = solicitacao.nomeViajantes;
+  if (verificar('nomeViajantes') && !vazio(nomes) &&
+      (!Array.isArray(nomes) || nomes.some(nome => typeof nome !== 'string' || nome.trim() === ''))) {
+    erros.push('Informe o nome de cada viajante');
+  }
+
+  const voo = solicitacao.vooEscolhido;
+  if (verificar('vooEscolhido') && voo !== undefined && voo !== null) {
+    erros.push(...errosDoVoo(voo));
+  }
+
+  if (verificar('tipoServico') && !vazio(solicitacao.tipoServico) && !TIPOS_SERVICO.includes(solicitacao.tipoServico)) {
+    erros.push(`Tipo de serviço inválido (use: ${TIPOS_SERVICO.join(', ')})`);
+  }
+
+  if (verificar('urgencia') && !vazio(solicitacao.urgencia) && !URGENCIAS.includes(solicitacao.urgencia)) {
+    erros.push('Urgência deve ser SIM ou NÃO');
+  }
+
+  if (verificar('valorEstimado') && !vazio(solicitacao.valorEstimado) &&
+      (typeof solicitacao.valorEstimado !== 'number' || solicitacao.valorEstimado < 0)) {
+    erros.push('Valor estimado deve ser um número positivo');
+  }
+
+  return {
+    valida: erros.length === 0,
+    erros
+  };
+}
+
+// Converter campos legados de solicitações já gravadas (dataPartida → dataIda etc.)
+// O valor canônico prevalece quando os dois existem; retorna quantas solicitações mudaram
+function migrarCamposLegados(solicitacoes) {
+  let alteradas = 0;
+
+  for (const solicitacao of solicitacoes) {
+    let alterada = false;
+
+    for (const [legado, canonico] of Object.entries(CAMPOS_LEGADOS)) {
+      if (!(legado in solicitacao)) continue;
+
+      if (solicitacao[canonico] === undefined || solicitacao[canonico] === null || solicitacao[canonico] === '') {
+        solicitacao[canonico] = solicitacao[legado];
+      }
+      delete solicitacao[legado];
+      alterada = true;
+    }
+
+    if (alterada) {
+      alteradas++;
+    }
+  }
+
+  return alteradas;
+}
+
+// Validar lista de campos marcados para ajuste
+function validarCamposAjuste(campos) {
+  const erros = [];
+
+  if (!Array.isArray(campos) || campos.length === 0) {
+    erros.push('Informe ao menos um campo para ajuste');
+  } else {
+    campos
+      .filter(campo => !CAMPOS_EDITAVEIS.includes(campo))
+      .forEach(campo => erros.push(`Campo não editável: ${campo}`));
+  }
+
+  return {
+    valida: erros.length === 0,
+    erros
+  };
+}
+
+// Aplicar alterações do solicitante, restritas aos campos permitidos e validadas pelo esquema
+// Retorna a lista de diferenças ({ campo, de, para }) ou os erros encontrados
+function aplicarAlteracoes(solicitacao, alteracoes, camposPermitidos = CAMPOS_EDITAVEIS) {
+  const erros = [];
+  const diferencas = [];
+
+  if (!alteracoes || typeof alteracoes !== 'object' || Array.isArray(alteracoes)) {
+    return { erros: ['Alterações inválidas'], diferencas };
+  }
+
+  Object.keys(alteracoes)
+    .filter(campo => !camposPermitidos.includes(campo))
+    .forEach(campo => erros.push(`Campo não pode ser alterado: ${campo}`));
+
+  if (erros.length > 0) {
+    return { erros, diferencas };
+  }
+
+  const normalizadas = {};
+  for (const [campo, valor] of Object.entries(alteracoes)) {
+    normalizadas[campo] = normalizarCampo(campo, valor);
+  }
+
+  const validacao = validarSolicitacao({ ...solicitacao, ...normalizadas }, Object.keys(normalizadas));
+  if (!validacao.valida) {
+    return { erros: validacao.erros, diferencas };
+  }
+
+  for (const [campo, valor] of Object.entries(normalizadas)) {
+    const anterior = solicitacao[campo] === undefined ? null : solicitacao[campo];
+    if (JSON.stringify(anterior) !== JSON.stringify(valor)) {
+      diferencas.push({ campo, de: anterior, para: valor });
+      solicitacao[campo] = valor;
+    }
+  }
+
+  return { erros, diferencas };
+}
+
+module.exports = {
+  CAMPOS_EDITAVEIS,
+  CAMPOS_LEGADOS,
+  TIPOS_SERVICO,
+  listaDeViajantes,
+  criarSolicitacao,
+  validarSolicitacao,
+  migrarCamposLegados,
+  validarCamposAjuste,
+  aplicarAlteracoes
+};
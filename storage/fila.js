@@ -0,0 +1,18 @@
+// Fila de execução: garante que as alterações sejam feitas uma de cada vez
+// (ler → alterar → gravar sem que outra requisição grave no meio)
+
+function criarFila() {
+  let fila = Promise.resolve();
+
+  return function executar(fn) {
+    const execucao = fila.then(() => fn());
+
+    // Uma execução com erro não bloqueia as seguintes
+    fila = execucao.catch(() => {});
+    return execucao;
+  };
+}
+
+module.exports = {
+  criarFila
+};
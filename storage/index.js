@@ -0,0 +1,34 @@
+// Camada de armazenamento
+// Escolhe o backend pela variável STORAGE_DRIVER:
+// - json (padrão): arquivo data.json (DATA_FILE)
+// - sqlite: banco SQLite (SQLITE_FILE)
+// Os dois expõem a mesma API (usuarios, sessoes, solicitacoes, configuracoes, migracoes)
+// e serializam as alterações, então as rotas não precisam saber qual está em uso.
+
+const { executarMigracoes } = require('../migrations');
+
+const DRIVER = (process.env.STORAGE_DRIVER || 'json').toLowerCase();
+
+if (!['json', 'sqlite'].includes(DRIVER)) {
+  throw new Error(`STORAGE_DRIVER inválido: ${DRIVER} (use json ou sqlite)`);
+}
+
+const backend = require(DRIVER === 'sqlite' ? './sqlite' : './json');
+
+// Abrir o armazenamento, aplicar migrações pendentes e criar os usuários iniciais se não houver nenhum
+async function inicializar(dadosIniciais = {}) {
+  await backend.abrir();
+  await executarMigracoes(backend);
+
+  const existentes = await backend.usuarios.listar();
+  if (existentes.length === 0) {
+    for (const usuario of dadosIniciais.users || []) {
+      await backend.usuarios.inserir(usuario);
+    }
+  }
+}
+
+module.exports = {
+  ...backend,
+  inicializar
+};
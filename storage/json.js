@@ -0,0 +1,231 @@
+// Armazenamento em arquivo JSON (data.json)
+// Cache em memória, escritas serializadas e gravação atômica (arquivo temporário + rename):
+// duas requisições simultâneas não sobrescrevem as alterações uma da outra e uma queda
+// no meio da escrita não corrompe o arquivo.
+// O servidor é o dono do arquivo: alterações feitas por fora com ele rodando não são vistas.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { criarFila } = require('./fila');
+
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, '..', 'data.json');
+
+let cache = null; // dados atuais
+let conteudo = null; // JSON correspondente ao que está gravado no disco
+let carregando = null;
+const serializar = criarFila();
+
+// Cópia profunda (os dados são JSON puro)
+function clonar(valor) {
+  return valor === undefined ? undefined : JSON.parse(JSON.stringify(valor));
+}
+
+// Carregar o arquivo para o cache (uma única vez)
+function carregar() {
+  if (cache) {
+    return Promise.resolve(cache);
+  }
+
+  if (!carregando) {
+    carregando = fs.readFile(DATA_FILE, 'utf8')
+      .then(texto => {
+        cache = JSON.parse(texto);
+        conteudo = JSON.stringify(cache, null, 2);
+        return cache;
+      })
+      .finally(() => {
+        carregando = null;
+      });
+  }
+
+  return carregando;
+}
+
+// Gravar em arquivo temporário e renomear por cima do original
+async function gravarArquivo(json) {
+  const temporario = `${DATA_FILE}.${process.pid}.tmp`;
+  const handle = await fs.open(temporario, 'w');
+
+  try {
+    await handle.writeFile(json);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  await fs.rename(temporario, DATA_FILE);
+}
+
+// Alterar os dados de forma serializada
+// fn recebe uma cópia dos dados e pode alterá-la; se terminar sem erro e algo mudou,
+// a cópia é gravada e passa a ser o cache. Se lançar erro, nada é gravado.
+function transacao(fn) {
+  return serializar(async () => {
+    const dados = clonar(await carregar());
+    const resultado = await fn(dados);
+    const json = JSON.stringify(dados, null, 2);
+
+    if (json !== conteudo) {
+      await gravarArquivo(json);
+      conteudo = json;
+      cache = dados;
+    }
+
+    return clonar(resultado);
+  });
+}
+
+// Criar o arquivo vazio se não existir e carregar o cache
+async function abrir() {
+  try {
+    await fs.access(DATA_FILE);
+  } catch {
+    await gravarArquivo(JSON.stringify({ users: [], solicitacoes: [], aprovacoes: [], sessoes: [] }, null, 2));
+  }
+
+  cache = null;
+  await carregar();
+}
+
+// Alterações de esquema só se aplicam ao SQLite
+async function aplicarEsquema() {}
+
+// Filtros de listagem de solicitações (mesma semântica do SQLite)
+function casaFiltro(solicitacao, filtro) {
+  if (filtro.solicitanteId && solicitacao.solicitanteId !== filtro.solicitanteId) return false;
+  if (filtro.status?.length && !filtro.status.includes(solicitacao.status)) return false;
+  if (filtro.dataIdaDe && !(solicitacao.dataIda >= filtro.dataIdaDe)) return false;
+  if (filtro.dataIdaAte && !(solicitacao.dataIda <= filtro.dataIdaAte)) return false;
+  return true;
+}
+
+// Usuários
+const usuarios = {
+  async listar() {
+    return clonar((await carregar()).users || []);
+  },
+  async buscarPorId(id) {
+    return clonar(((await carregar()).users || []).find(u => u.id === id));
+  },
+  async buscarPorEmail(email) {
+    const alvo = String(email || '').toLowerCase();
+    return clonar(((await carregar()).users || []).find(u => u.email.toLowerCase() === alvo));
+  },
+  // Retorna false se o email já estiver em uso
+  inserir(usuario) {
+    return transacao(dados => {
+      const alvo = usuario.email.toLowerCase();
+      if (dados.users.some(u => u.email.toLowerCase() === alvo)) {
+        return false;
+      }
+      dados.users.push(usuario);
+      return true;
+    });
+  },
+  // fn(usuario): usuario é undefined quando o id não existe
+  atualizar(id, fn) {
+    return transacao(dados => fn(dados.users.find(u => u.id === id)));
+  },
+  remover(id) {
+    return transacao(dados => {
+      const index = dados.users.findIndex(u => u.id === id);
+      if (index === -1) {
+        return false;
+      }
+      dados.users.splice(index, 1);
+      return true;
+    });
+  }
+};
+
+// Sessões de login
+const sessoes = {
+  async buscarPorId(id) {
+    return clonar(((await carregar()).sessoes || []).find(s => s.id === id));
+  },
+  // Descarta sessões expiradas para o arquivo não crescer indefinidamente
+  inserir(sessao) {
+    return transacao(dados => {
+      const agora = Date.now();
+      dados.sessoes = (dados.sessoes || []).filter(s => new Date(s.expiresAt).getTime() > agora);
+      dados.sessoes.push(sessao);
+    });
+  },
+  // fn(sessao): sessao é undefined quando o id não existe
+  atualizar(id, fn) {
+    return transacao(dados => fn((dados.sessoes || []).find(s => s.id === id)));
+  },
+  revogarDoUsuario(userId) {
+    return transacao(dados => {
+      const agora = new Date().toISOString();
+      (dados.sessoes || [])
+        .filter(s => s.userId === userId && !s.revokedAt)
+        .forEach(s => { s.revokedAt = agora; });
+    });
+  }
+};
+
+// Solicitações
+const solicitacoes = {
+  // filtro: { solicitanteId, status: [...], dataIdaDe, dataIdaAte }
+  async listar(filtro = {}) {
+    return clonar(((await carregar()).solicitacoes || []).filter(s => casaFiltro(s, filtro)));
+  },
+  async buscarPorId(id) {
+    return clonar(((await carregar()).solicitacoes || []).find(s => s.id === id));
+  },
+  inserir(solicitacao) {
+    return transacao(dados => {
+      if (!dados.solicitacoes) {
+        dados.solicitacoes = [];
+      }
+      dados.solicitacoes.push(solicitacao);
+      return solicitacao;
+    });
+  },
+  // fn(solicitacao): solicitacao é undefined quando o id não existe
+  atualizar(id, fn) {
+    return transacao(dados => fn((dados.solicitacoes || []).find(s => s.id === id)));
+  }
+};
+
+// Configurações gravadas na raiz dos dados (ex.: politicaAprovacao)
+const configuracoes = {
+  async obter(chave) {
+    return clonar((await carregar())[chave]);
+  },
+  // fn(valorAtual) retorna o novo valor
+  atualizar(chave, fn) {
+    return transacao(async dados => {
+      dados[chave] = await fn(dados[chave]);
+      return dados[chave];
+    });
+  }
+};
+
+// Controle das migrações já aplicadas
+const migracoes = {
+  async aplicadas() {
+    return ((await carregar()).migracoes || []).map(m => m.id);
+  },
+  registrar(id, descricao) {
+    return transacao(dados => {
+      if (!dados.migracoes) {
+        dados.migracoes = [];
+      }
+      dados.migracoes.push({ id, descricao, aplicadaEm: new Date().toISOString() });
+    });
+  }
+};
+
+module.exports = {
+  DRIVER: 'json',
+  DATA_FILE,
+  abrir,
+  aplicarEsquema,
+  usuarios,
+  sessoes,
+  solicitacoes,
+  configuracoes,
+  migracoes
+};
@@ -0,0 +1,366 @@
+// Armazenamento em SQLite (better-sqlite3)
+// Tabelas: users, sessoes, solicitacoes, cotacoes, anexos, historico, aprovacoes, configuracoes.
+// Cada tabela guarda em colunas os campos usados em filtros/relatórios e o restante do registro
+// em JSON (coluna dados), para manter o mesmo formato de objeto do armazenamento em arquivo.
+// O esquema é criado pelas migrações (pasta migrations).
+
+const path = require('path');
+const Database = require('better-sqlite3');
+const { criarFila } = require('./fila');
+
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(__dirname, '..', 'data.db');
+
+// Decisões de aprovação guardadas na tabela aprovacoes (campo da solicitação → papel)
+const CAMPOS_APROVACAO = {
+  aprovacaoGestor: 'gestor',
+  aprovacaoGerente: 'gerente',
+  aprovacaoDiretor: 'diretor'
+};
+
+let db = null;
+const serializar = criarFila();
+
+function conexao() {
+  if (!db) {
+    throw new Error('Armazenamento SQLite não inicializado');
+  }
+  return db;
+}
+
+// Abrir o banco (criado se não existir)
+async function abrir() {
+  if (!db) {
+    db = new Database(SQLITE_FILE);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+  }
+}
+
+// Executar alterações de esquema de uma migração
+async function aplicarEsquema(fn) {
+  const banco = conexao();
+  banco.transaction(() => fn(banco))();
+}
+
+const json = valor => (valor === undefined ? null : JSON.stringify(valor));
+
+// Remover campos nulos/indefinidos (o registro volta no mesmo formato do arquivo JSON)
+function semVazios(objeto) {
+  return Object.fromEntries(Object.entries(objeto).filter(([, valor]) => valor !== null && valor !== undefined));
+}
+
+// ============================================
+// USUÁRIOS
+// ============================================
+
+function linhaParaUsuario(linha) {
+  if (!linha) return undefined;
+  return semVazios({
+    id: linha.id,
+    name: linha.name,
+    email: linha.email,
+    role: linha.role,
+    password: linha.password,
+    passwordHash: linha.password_hash,
+    createdAt: linha.created_at,
+    updatedAt: linha.updated_at
+  });
+}
+
+function gravarUsuario(usuario) {
+  conexao().prepare(`
+    INSERT INTO users (id, name, email, role, password, password_hash, created_at, updated_at)
+    VALUES (@id, @name, @email, @role, @password, @passwordHash, @createdAt, @updatedAt)
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name, email = excluded.email, role = excluded.role, password = excluded.password,
+      password_hash = excluded.password_hash, created_at = excluded.created_at, updated_at = excluded.updated_at
+  `).run({
+    password: null,
+    passwordHash: null,
+    createdAt: null,
+    updatedAt: null,
+    ...usuario
+  });
+}
+
+const usuarios = {
+  async listar() {
+    return conexao().prepare('SELECT * FROM users ORDER BY rowid').all().map(linhaParaUsuario);
+  },
+  async buscarPorId(id) {
+    return linhaParaUsuario(conexao().prepare('SELECT * FROM users WHERE id = ?').get(id));
+  },
+  async buscarPorEmail(email) {
+    return linhaParaUsuario(conexao().prepare('SELECT * FROM users WHERE email = ? COLLATE NOCASE').get(String(email || '')));
+  },
+  // Retorna false se o email já estiver em uso
+  inserir(usuario) {
+    return serializar(async () => {
+      if (await usuarios.buscarPorEmail(usuario.email)) {
+        return false;
+      }
+      gravarUsuario(usuario);
+      return true;
+    });
+  },
+  // fn(usuario): usuario é undefined quando o id não existe
+  atualizar(id, fn) {
+    return serializar(async () => {
+      const usuario = await usuarios.buscarPorId(id);
+      const antes = json(usuario);
+      const resultado = await fn(usuario);
+      if (usuario && json(usuario) !== antes) {
+        gravarUsuario(usuario);
+      }
+      return resultado;
+    });
+  },
+  remover(id) {
+    return serializar(async () => conexao().prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0);
+  }
+};
+
+// ============================================
+// SESSÕES
+// ============================================
+
+function linhaParaSessao(linha) {
+  if (!linha) return undefined;
+  return semVazios({
+    id: linha.id,
+    userId: linha.user_id,
+    refreshTokenHash: linha.refresh_token_hash,
+    createdAt: linha.created_at,
+    expiresAt: linha.expires_at,
+    revokedAt: linha.revoked_at,
+    refreshedAt: linha.refreshed_at
+  });
+}
+
+function gravarSessao(sessao) {
+  conexao().prepare(`
+    INSERT OR REPLACE INTO sessoes (id, user_id, refresh_token_hash, created_at, expires_at, revoked_at, refreshed_at)
+    VALUES (@id, @userId, @refreshTokenHash, @createdAt, @expiresAt, @revokedAt, @refreshedAt)
+  `).run({ revokedAt: null, refreshedAt: null, ...sessao });
+}
+
+const sessoes = {
+  async buscarPorId(id) {
+    return linhaParaSessao(conexao().prepare('SELECT * FROM sessoes WHERE id = ?').get(id));
+  },
+  // Descarta sessões expiradas para a tabela não crescer indefinidamente
+  inserir(sessao) {
+    return serializar(async () => {
+      conexao().prepare('DELETE FROM sessoes WHERE expires_at <= ?').run(new Date().toISOString());
+      gravarSessao(sessao);
+    });
+  },
+  // fn(sessao): sessao é undefined quando o id não existe
+  atualizar(id, fn) {
+    return serializar(async () => {
+      const sessao = await sessoes.buscarPorId(id);
+      const antes = json(sessao);
+      const resultado = await fn(sessao);
+      if (sessao && json(sessao) !== antes) {
+        gravarSessao(sessao);
+      }
+      return resultado;
+    });
+  },
+  revogarDoUsuario(userId) {
+    return serializar(async () => {
+      conexao().prepare('UPDATE sessoes SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL')
+        .run(new Date().toISOString(), userId);
+    });
+  }
+};
+
+// ============================================
+// SOLICITAÇÕES (+ cotações, anexos, histórico e aprovações)
+// ============================================
+
+function carregarSolicitacao(linha) {
+  if (!linha) return undefined;
+  const banco = conexao();
+  const filhos = tabela => banco.prepare(`SELECT dados FROM ${tabela} WHERE solicitacao_id = ? ORDER BY ordem`)
+    .all(linha.id)
+    .map(l => JSON.parse(l.dados));
+
+  const solicitacao = {
+    ...JSON.parse(linha.dados),
+    cotacoes: filhos('cotacoes'),
+    anexos: filhos('anexos'),
+    historico: filhos('historico')
+  };
+
+  banco.prepare('SELECT papel, dados FROM aprovacoes WHERE solicitacao_id = ?').all(linha.id).forEach(aprovacao => {
+    const campo = Object.keys(CAMPOS_APROVACAO).find(c => CAMPOS_APROVACAO[c] === aprovacao.papel);
+    solicitacao[campo] = JSON.parse(aprovacao.dados);
+  });
+
+  return solicitacao;
+}
+
+// Gravar a solicitação e substituir seus registros filhos
+function gravarSolicitacao(solicitacao) {
+  const banco = conexao();
+  const { cotacoes = [], anexos = [], historico = [], ...resto } = solicitacao;
+  Object.keys(CAMPOS_APROVACAO).forEach(campo => delete resto[campo]);
+
+  banco.transaction(() => {
+    banco.prepare(`
+      INSERT INTO solicitacoes (id, solicitante_id, status, origem, destino, data_ida, data_volta, created_at, updated_at, dados)
+      VALUES (@id, @solicitanteId, @status, @origem, @destino, @dataIda, @dataVolta, @createdAt, @updatedAt, @dados)
+      ON CONFLICT(id) DO UPDATE SET
+        solicitante_id = excluded.solicitante_id, status = excluded.status, origem = excluded.origem,
+        destino = excluded.destino, data_ida = excluded.data_ida, data_volta = excluded.data_volta,
+        created_at = excluded.created_at, updated_at = excluded.updated_at, dados = excluded.dados
+    `).run({
+      id: solicitacao.id,
+      solicitanteId: solicitacao.solicitanteId || null,
+      status: solicitacao.status || null,
+      origem: solicitacao.origem || null,
+      destino: solicitacao.destino || null,
+      dataIda: solicitacao.dataIda || null,
+      dataVolta: solicitacao.dataVolta || null,
+      createdAt: solicitacao.createdAt || null,
+      updatedAt: solicitacao.updatedAt || null,
+      dados: json(resto)
+    });
+
+    ['cotacoes', 'anexos', 'historico', 'aprovacoes'].forEach(tabela => {
+      banco.prepare(`DELETE FROM ${tabela} WHERE solicitacao_id = ?`).run(solicitacao.id);
+    });
+
+    const inserirCotacao = banco.prepare(`
+      INSERT INTO cotacoes (solicitacao_id, id, ordem, companhia, preco_total, moeda, selecionada, validade, dados)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    cotacoes.forEach((c, ordem) => inserirCotacao.run(
+      solicitacao.id, c.id, ordem, c.companhia || null, c.precoTotal ?? null, c.moeda || null,
+      c.selecionada ? 1 : 0, c.validade || null, json(c)
+    ));
+
+    const inserirAnexo = banco.prepare(`
+      INSERT INTO anexos (solicitacao_id, id, ordem, nome, caminho, tipo, dados)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    anexos.forEach((a, ordem) => inserirAnexo.run(
+      solicitacao.id, a.id, ordem, a.nome || null, a.caminho || null, a.tipo || null, json(a)
+    ));
+
+    const inserirHistorico = banco.prepare(`
+      INSERT INTO historico (solicitacao_id, ordem, acao, status_de, status_para, usuario_id, data, dados)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    historico.forEach((h, ordem) => inserirHistorico.run(
+      solicitacao.id, ordem, h.acao || null, h.de || null, h.para || null, h.usuarioId || null, h.data || null, json(h)
+    ));
+
+    const inserirAprovacao = banco.prepare(`
+      INSERT INTO aprovacoes (solicitacao_id, papel, aprovado, aprovador_id, motivo, data, dados)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    Object.entries(CAMPOS_APROVACAO)
+      .filter(([campo]) => solicitacao[campo])
+      .forEach(([campo, papel]) => {
+        const a = solicitacao[campo];
+        inserirAprovacao.run(
+          solicitacao.id, papel, a.aprovado ? 1 : 0, a.aprovadorId || null, a.motivo || null, a.data || null, json(a)
+        );
+      });
+  })();
+}
+
+const solicitacoes = {
+  // filtro: { solicitanteId, status: [...], dataIdaDe, dataIdaAte }
+  async listar(filtro = {}) {
+    const condicoes = [];
+    const parametros = [];
+
+    if (filtro.solicitanteId) {
+      condicoes.push('solicitante_id = ?');
+      parametros.push(filtro.solicitanteId);
+    }
+    if (filtro.status?.length) {
+      condicoes.push(`status IN (${filtro.status.map(() => '?').join(', ')})`);
+      parametros.push(...filtro.status);
+    }
+    if (filtro.dataIdaDe) {
+      condicoes.push('data_ida >= ?');
+      parametros.push(filtro.dataIdaDe);
+    }
+    if (filtro.dataIdaAte) {
+      condicoes.push('data_ida <= ?');
+      parametros.push(filtro.dataIdaAte);
+    }
+
+    const where = condicoes.length ? `WHERE ${condicoes.join(' AND ')}` : '';
+    return conexao().prepare(`SELECT * FROM solicitacoes ${where} ORDER BY rowid`).all(...parametros)
+      .map(carregarSolicitacao);
+  },
+  async buscarPorId(id) {
+    return carregarSolicitacao(conexao().prepare('SELECT * FROM solicitacoes WHERE id = ?').get(id));
+  },
+  inserir(solicitacao) {
+    return serializar(async () => {
+      gravarSolicitacao(solicitacao);
+      return solicitacoes.buscarPorId(solicitacao.id);
+    });
+  },
+  // fn(solicitacao): solicitacao é undefined quando o id não existe
+  atualizar(id, fn) {
+    return serializar(async () => {
+      const solicitacao = await solicitacoes.buscarPorId(id);
+      const antes = json(solicitacao);
+      const resultado = await fn(solicitacao);
+      if (solicitacao && json(solicitacao) !== antes) {
+        gravarSolicitacao(solicitacao);
+      }
+      return resultado;
+    });
+  }
+};
+
+// ============================================
+// CONFIGURAÇÕES E MIGRAÇÕES
+// ============================================
+
+const configuracoes = {
+  async obter(chave) {
+    const linha = conexao().prepare('SELECT valor FROM configuracoes WHERE chave = ?').get(chave);
+    return linha ? JSON.parse(linha.valor) : undefined;
+  },
+  // fn(valorAtual) retorna o novo valor
+  atualizar(chave, fn) {
+    return serializar(async () => {
+      const valor = await fn(await configuracoes.obter(chave));
+      conexao().prepare('INSERT OR REPLACE INTO configuracoes (chave, valor) VALUES (?, ?)').run(chave, json(valor));
+      return valor;
+    });
+  }
+};
+
+const migracoes = {
+  async aplicadas() {
+    const banco = conexao();
+    banco.exec('CREATE TABLE IF NOT EXISTS migracoes (id TEXT PRIMARY KEY, descricao TEXT, aplicada_em TEXT NOT NULL)');
+    return banco.prepare('SELECT id FROM migracoes ORDER BY id').all().map(m => m.id);
+  },
+  async registrar(id, descricao) {
+    conexao().prepare('INSERT OR IGNORE INTO migracoes (id, descricao, aplicada_em) VALUES (?, ?, ?)')
+      .run(id, descricao || null, new Date().toISOString());
+  }
+};
+
+module.exports = {
+  DRIVER: 'sqlite',
+  SQLITE_FILE,
+  abrir,
+  aplicarEsquema,
+  usuarios,
+  sessoes,
+  solicitacoes,
+  configuracoes,
+  migracoes
+};
@@ -0,0 +1,186 @@
+// Script para reprocessar offline as respostas gravadas das APIs de voos (providers/gravacao.js)
+// Cada gravação é reproduzida pelo mesmo código da busca/confirmação de preço e o resultado
+// normalizado é comparado com o "esperado" guardado na própria gravação; falha se a interpretação
+// mudar, se a gravação não tiver esperado ou se os parâmetros que o código monta hoje não tiverem
+// mais gravação.
+// Sem diretório, verifica as capturas reais (fixtures/voos) e as sintéticas (fixtures/voos-sinteticas).
+// Gravar: VOOS_GRAVACAO=gravar npm start (e fazer as buscas desejadas)
+// Guardar o esperado das gravações novas (ou após uma mudança intencional no parser):
+//   node verificar-gravacoes.js --atualizar   (revise o diff das fixtures antes de commitar)
+// Execute: node verificar-gravacoes.js [diretorio/das/gravacoes]
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const argumentos = process.argv.slice(2);
+const atualizar = argumentos.includes('--atualizar');
+const diretorioInformado = argumentos.find(arg => !arg.startsWith('--'));
+
+const DIRETORIOS = diretorioInformado
+  ? [path.resolve(diretorioInformado)]
+  : [path.join(__dirname, 'fixtures', 'voos'), path.join(__dirname, 'fixtures', 'voos-sinteticas')];
+
+process.env.VOOS_GRAVACAO = 'reproduzir';
+
+const { listarGravacoes } = require('./providers/gravacao');
+const { obterProvedor } = require('./providers');
+const { confirmFlightPrice } = require('./multiAPI');
+
+// Campos que mudam a cada execução e não entram na comparação
+const CAMPOS_VOLATEIS = ['timestamp'];
+const MAX_DIFERENCAS = 10;
+
+// Reproduzir uma gravação pela função que a gerou (resultado normalizado, ou o erro)
+async function reproduzir(gravacao) {
+  try {
+    if (gravacao.operacao === 'flight-offers-pricing') {
+      return { resultado: await confirmFlightPrice(...gravacao.chamada) };
+    }
+
+    const provedor = obterProvedor(gravacao.provedor);
+    if (!provedor) {
+      throw new Error(`Provedor desconhecido: ${gravacao.provedor}`);
+    }
+    return { resultado: await provedor.buscar(...gravacao.chamada) };
+  } catch (error) {
+    if (error.code === 'SEM_GRAVACAO') {
+      throw error;
+    }
+    return { erro: error.message };
+  }
+}
+
+// Cópia comparável do resultado (sem campos voláteis e sem undefined)
+function semVolateis(valor) {
+  return JSON.parse(JSON.stringify(valor, (chave, item) => (CAMPOS_VOLATEIS.includes(chave) ? undefined : item)));
+}
+
+// Caminhos em que obtido difere de esperado (ex.: "resultado[0].preco: 450.90 → 451")
+function diferencas(esperado, obtido, caminho = '', lista = []) {
+  if (lista.length >= MAX_DIFERENCAS) {
+    return lista;
+  }
+
+  const ehObjeto = valor => valor !== null && typeof valor === 'object';
+  if (ehObjeto(esperado) && ehObjeto(obtido) && Array.isArray(esperado) === Array.isArray(obtido)) {
+    if (Array.isArray(esperado) && esperado.length !== obtido.length) {
+      lista.push(`${caminho || 'raiz'}: ${esperado.length} item(ns) esperado(s), ${obtido.length} obtido(s)`);
+    }
+    const chaves = Array.isArray(esperado)
+      ? [...Array(Math.min(esperado.length, obtido.length)).keys()]
+      : [...new Set([...Object.keys(esperado), ...Object.keys(obtido)])];
+    for (const chave of chaves) {
+      const proximo = Array.isArray(esperado) ? `${caminho}[${chave}]` : (caminho ? `${caminho}.${chave}` : chave);
+      diferencas(esperado[chave], obtido[chave], proximo, lista);
+    }
+    return lista;
+  }
+
+  if (JSON.stringify(esperado) !== JSON.stringify(obtido)) {
+    lista.push(`${caminho || 'raiz'}: ${JSON.stringify(esperado)} → ${JSON.stringify(obtido)}`);
+  }
+  return lista;
+}
+
+// Resumo de uma linha para o console
+function resumo(saida) {
+  if (saida.erro) {
+    return `erro reproduzido (${saida.erro})`;
+  }
+  if (Array.isArray(saida.resultado)) {
+    return `${saida.resultado.length} voo(s)`;
+  }
+  return `preço ${saida.resultado.preco} ${saida.resultado.moeda}`;
+}
+
+// Gravações de todos os diretórios, cada uma com o diretório de onde deve ser reproduzida
+function gravacoesDosDiretorios() {
+  return DIRETORIOS.flatMap(diretorio => {
+    process.env.VOOS_FIXTURES_DIR = diretorio;
+    return listarGravacoes().map(arquivo => ({ arquivo, diretorio }));
+  });
+}
+
+async function main() {
+  const arquivos = gravacoesDosDiretorios();
+  if (arquivos.length === 0) {
+    console.log('ℹ️ Nenhuma gravação encontrada');
+    return;
+  }
+
+  console.log(`🔄 Reproduzindo ${arquivos.length} gravação(ões)...`);
+  let falhas = 0;
+  let atualizadas = 0;
+  let sinteticas = 0;
+
+  for (const { arquivo, diretorio } of arquivos) {
+    const gravacao = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+    const nome = `${path.relative(process.cwd(), arquivo)}${gravacao.sintetica ? ' (sintética)' : ''}`;
+    process.env.VOOS_FIXTURES_DIR = diretorio;
+    if (gravacao.sintetica) {
+      sinteticas++;
+    }
+
+    if (!Array.isArray(gravacao.chamada)) {
+      console.warn(`⚠️ ${nome}: gravação sem os argumentos da chamada, ignorada`);
+      continue;
+    }
+
+    let saida;
+    try {
+      saida = semVolateis(await reproduzir(gravacao));
+    } catch (error) {
+      falhas++;
+      console.error(`❌ ${nome}: ${error.message}`);
+      continue;
+    }
+
+    // Uma resposta gravada com sucesso não pode virar erro (nem o contrário)
+    if (Boolean(gravacao.erro) !== Boolean(saida.erro)) {
+      falhas++;
+      console.error(`❌ ${nome}: ${gravacao.erro ? `erro gravado não foi reproduzido (${gravacao.erro.message})` : `erro ao reproduzir (${saida.erro})`}`);
+      continue;
+    }
+
+    if (atualizar) {
+      gravacao.esperado = saida;
+      fs.writeFileSync(arquivo, JSON.stringify(gravacao, null, 2) + '\n');
+      atualizadas++;
+      console.log(`📝 ${nome}: esperado atualizado, ${resumo(saida)}`);
+      continue;
+    }
+
+    if (!gravacao.esperado) {
+      falhas++;
+      console.error(`❌ ${nome}: gravação sem resultado esperado (rode com --atualizar e revise)`);
+      continue;
+    }
+
+    const lista = diferencas(gravacao.esperado, saida);
+    if (lista.length > 0) {
+      falhas++;
+      console.error(`❌ ${nome}: resultado diferente do esperado`);
+      lista.forEach(diferenca => console.error(`   - ${diferenca}`));
+      continue;
+    }
+
+    console.log(`✅ ${nome}: ${resumo(saida)}`);
+  }
+
+  if (falhas > 0) {
+    console.error(`❌ ${falhas} de ${arquivos.length} gravação(ões) falharam`);
+    process.exit(1);
+  }
+  if (atualizar) {
+    console.log(`✅ ${atualizadas} gravação(ões) atualizada(s)`);
+    return;
+  }
+  // Sintéticas só mostram que o parser não mudou; o formato real do serviço vem das capturas
+  console.log(`✅ ${arquivos.length} gravação(ões) verificada(s) (${arquivos.length - sinteticas} captura(s) real(is), ${sinteticas} sintética(s))`);
+}
+
+main().catch(error => {
+  console.error('❌ Erro ao verificar gravações:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,452 @@
+// Fluxo de status das solicitações
+// Define os status canônicos, as transições permitidas, quem pode executá-las
+// e os efeitos colaterais (histórico, timestamps, registro de aprovação)
+
+const { temPermissao, ehSolicitante } = require('./permissions');
+
+// Status canônicos (sempre em maiúsculas)
+const STATUS = {
+  PENDENTE_COTACAO: 'PENDENTE_COTACAO',
+  AGUARDANDO_ESCOLHA: 'AGUARDANDO_ESCOLHA',
+  AGUARDANDO_APROVACAO: 'AGUARDANDO_APROVACAO',
+  PENDENTE_GESTOR: 'PENDENTE_GESTOR',
+  PENDENTE_GERENTE: 'PENDENTE_GERENTE',
+  PENDENTE_DIRETOR: 'PENDENTE_DIRETOR',
+  PENDENTE_COMPRAS: 'PENDENTE_COMPRAS',
+  APROVADO_FINAL: 'APROVADO_FINAL',
+  EM_COMPRA: 'EM_COMPRA',
+  COMPRADA: 'COMPRADA',
+  REJEITADA: 'REJEITADA',
+  AJUSTE_SOLICITADO: 'AJUSTE_SOLICITADO',
+  CANCELADA: 'CANCELADA'
+};
+
+// Status antigos que não existem mais no fluxo
+const STATUS_LEGADOS = {
+  PENDENTE_GERENTE_APROVADO: STATUS.PENDENTE_DIRETOR, // Gerente aprovou, aguardando diretor
+  PROCESSADA: STATUS.COMPRADA
+};
+
+// Status em que a escolha da cotação ainda pode ser feita/alterada
+const STATUS_ANTES_DA_COMPRA = [
+  STATUS.PENDENTE_COTACAO,
+  STATUS.AGUARDANDO_ESCOLHA,
+  STATUS.AGUARDANDO_APROVACAO,
+  STATUS.PENDENTE_GESTOR,
+  STATUS.PENDENTE_GERENTE,
+  STATUS.PENDENTE_DIRETOR,
+  STATUS.PENDENTE_COMPRAS,
+  STATUS.APROVADO_FINAL
+];
+
+// Status em que a solicitação aguarda algum aprovador
+const STATUS_EM_APROVACAO = [
+  STATUS.AGUARDANDO_APROVACAO,
+  STATUS.PENDENTE_GESTOR,
+  STATUS.PENDENTE_GERENTE,
+  STATUS.PENDENTE_DIRETOR
+];
+
+// Status pendente de cada papel aprovador
+const STATUS_DO_PAPEL = {
+  gestor: STATUS.PENDENTE_GESTOR,
+  gerente: STATUS.PENDENTE_GERENTE,
+  diretor: STATUS.PENDENTE_DIRETOR
+};
+
+// ============================================
+// FLUXO (CADEIA) DE APROVAÇÃO
+// ============================================
+
+// Criar fluxo a partir da cadeia montada pela política (approvalPolicy.montarCadeia)
+function criarFluxo(cadeia, statusFinal) {
+  return {
+    ...cadeia,
+    etapas: cadeia.etapas.map(etapa => ({ papeis: [...etapa.papeis], aprovacoes: [] })),
+    etapaAtual: 0,
+    statusFinal,
+    iniciadoEm: new Date().toISOString()
+  };
+}
+
+// Cadeia equivalente para solicitações criadas antes da política de aprovação
+function fluxoLegado(status) {
+  const cadeia = etapas => ({
+    regraId: 'legado',
+    regraDescricao: 'Fluxo anterior à política de aprovação',
+    etapas: etapas.map(papel => ({ papeis: [papel] }))
+  });
+
+  switch (normalizarStatus(status)) {
+    case STATUS.PENDENTE_GESTOR:
+      return criarFluxo(cadeia(['gestor']), STATUS.PENDENTE_COMPRAS);
+    case STATUS.PENDENTE_GERENTE:
+      return criarFluxo(cadeia(['gerente', 'diretor']), STATUS.APROVADO_FINAL);
+    case STATUS.PENDENTE_DIRETOR:
+      return criarFluxo(cadeia(['diretor']), STATUS.APROVADO_FINAL);
+    default:
+      return null;
+  }
+}
+
+// Fluxo da solicitação (ou o equivalente legado)
+function fluxoDaSolicitacao(solicitacao) {
+  return solicitacao.fluxoAprovacao || fluxoLegado(solicitacao.status);
+}
+
+// Papéis que ainda precisam aprovar a etapa atual
+function papeisPendentes(solicitacao) {
+  const fluxo = fluxoDaSolicitacao(solicitacao);
+  const etapa = fluxo?.etapas[fluxo.etapaAtual];
+
+  if (!etapa) {
+    return [];
+  }
+
+  return etapa.papeis.filter(papel => !etapa.aprovacoes.some(a => a.papel === papel));
+}
+
+// Status correspondente à etapa atual do fluxo
+function statusDoFluxo(fluxo) {
+  const etapa = fluxo.etapas[fluxo.etapaAtual];
+  if (!etapa) {
+    return fluxo.statusFinal;
+  }
+
+  const pendentes = etapa.papeis.filter(papel => !etapa.aprovacoes.some(a => a.papel === papel));
+  // Com um único aprovador pendente o status indica quem é; em paralelo, aguardando aprovação
+  return pendentes.length === 1 ? STATUS_DO_PAPEL[pendentes[0]] : STATUS.AGUARDANDO_APROVACAO;
+}
+
+// Iniciar fluxo de aprovação na solicitação e devolver o status inicial
+function iniciarFluxo(solicitacao, cadeia, statusFinal) {
+  solicitacao.fluxoAprovacao = criarFluxo(cadeia, statusFinal);
+  return statusDoFluxo(solicitacao.fluxoAprovacao);
+}
+
+// Registrar aprovação do papel na etapa atual e avançar o fluxo
+function registrarAprovacao(solicitacao, papel, usuario) {
+  if (!solicitacao.fluxoAprovacao) {
+    solicitacao.fluxoAprovacao = fluxoLegado(solicitacao.status);
+  }
+
+  const fluxo = solicitacao.fluxoAprovacao;
+  const etapa = fluxo.etapas[fluxo.etapaAtual];
+  etapa.aprovacoes.push({
+    papel,
+    aprovadorId: usuario.id,
+    aprovadorNome: usuario.name,
+    data: new Date().toISOString()
+  });
+
+  if (etapa.papeis.every(p => etapa.aprovacoes.some(a => a.papel === p))) {
+    fluxo.etapaAtual++;
+    if (fluxo.etapaAtual >= fluxo.etapas.length) {
+      fluxo.concluidoEm = new Date().toISOString();
+    }
+  }
+
+  return statusDoFluxo(fluxo);
+}
+
+// Devolver a solicitação ao solicitante para ajustes, guardando a etapa em que estava
+function registrarPedidoDeAjuste(solicitacao, usuario, opcoes) {
+  solicitacao.ajusteSolicitado = {
+    campos: opcoes.campos,
+    motivo: opcoes.motivo,
+    statusAnterior: normalizarStatus(solicitacao.status),
+    papel: usuario.role,
+    solicitadoPorId: usuario.id,
+    solicitadoPorNome: usuario.name,
+    data: new Date().toISOString()
+  };
+  return STATUS.AJUSTE_SOLICITADO;
+}
+
+// Retomar o fluxo na mesma etapa após o reenvio do solicitante
+function retomarAposAjuste(solicitacao) {
+  const { statusAnterior } = solicitacao.ajusteSolicitado;
+  solicitacao.ajusteSolicitado = null;
+
+  const fluxo = solicitacao.fluxoAprovacao;
+  if (!fluxo || !fluxo.etapas[fluxo.etapaAtual]) {
+    return statusAnterior;
+  }
+
+  // Aprovações parciais da etapa foram dadas sobre os dados antigos
+  fluxo.etapas[fluxo.etapaAtual].aprovacoes = [];
+  return statusDoFluxo(fluxo);
+}
+
+// Edição pelo solicitante: durante a aprovação, invalida aprovações já dadas e reinicia o roteamento
+function reiniciarRoteamento(solicitacao, usuario, opcoes) {
+  const status = normalizarStatus(solicitacao.status);
+  if (!STATUS_EM_APROVACAO.includes(status)) {
+    return status;
+  }
+
+  const statusFinal = solicitacao.fluxoAprovacao?.statusFinal ||
+    (solicitacao.cotacaoSelecionada ? STATUS.PENDENTE_COMPRAS : STATUS.APROVADO_FINAL);
+
+  ['aprovacaoGestor', 'aprovacaoGerente', 'aprovacaoDiretor'].forEach(campo => {
+    if (solicitacao[campo]) {
+      solicitacao[campo] = null;
+    }
+  });
+
+  return iniciarFluxo(solicitacao, opcoes.cadeia, statusFinal);
+}
+
+// Preço reconfirmado acima da tolerância: aprovações anteriores valiam para o preço antigo,
+// então a cadeia é remontada com o novo valor e a solicitação volta para aprovação
+function reiniciarAprovacaoPorPreco(solicitacao, usuario, opcoes) {
+  ['aprovacaoGestor', 'aprovacaoGerente', 'aprovacaoDiretor'].forEach(campo => {
+    if (solicitacao[campo]) {
+      solicitacao[campo] = null;
+    }
+  });
+
+  return iniciarFluxo(solicitacao, opcoes.cadeia, STATUS.PENDENTE_COMPRAS);
+}
+
+// Aprovações já registradas no fluxo atual (papéis)
+function aprovacoesRegistradas(solicitacao) {
+  const fluxo = solicitacao.fluxoAprovacao;
+  if (!fluxo) {
+    return [];
+  }
+
+  return fluxo.etapas.flatMap(etapa => etapa.aprovacoes.map(a => a.papel));
+}
+
+// Transições de aprovar/rejeitar para um papel aprovador
+function transicoesDeAprovacao(papel, nome) {
+  const base = {
+    de: [STATUS_DO_PAPEL[papel], STATUS.AGUARDANDO_APROVACAO],
+    permissao: `solicitacoes:aprovar_${papel}`,
+    condicao: {
+      valida: solicitacao => papeisPendentes(solicitacao).includes(papel),
+      message: `Solicitação não está pendente de aprovação do ${papel}`
+    }
+  };
+
+  return {
+    [`aprovar_${papel}`]: {
+      ...base,
+      descricao: `Aprovado pelo ${nome}`,
+      efeito: (solicitacao, usuario) => registrarAprovacao(solicitacao, papel, usuario),
+      registro: { campo: `aprovacao${nome}`, aprovado: true }
+    },
+    [`rejeitar_${papel}`]: {
+      ...base,
+      descricao: `Rejeitado pelo ${nome}`,
+      para: STATUS.REJEITADA,
+      registro: { campo: `aprovacao${nome}`, aprovado: false }
+    }
+  };
+}
+
+// ============================================
+// TRANSIÇÕES
+// ============================================
+
+// Transições permitidas
+// - de: status de origem aceitos
+// - para: status de destino
+// - efeito: atualiza o fluxo de aprovação e devolve o status de destino (no lugar de "para")
+// - permissao: ação exigida do perfil (ver permissions.js)
+// - somenteSolicitante: apenas o dono da solicitação pode executar
+// - condicao: pré-requisito adicional sobre os dados da solicitação
+// - registro: campo da solicitação onde a decisão do aprovador é gravada
+// - automatica: disparada como efeito de outra operação (não aparece nas ações disponíveis)
+const TRANSICOES = {
+  ...transicoesDeAprovacao('gestor', 'Gestor'),
+  ...transicoesDeAprovacao('gerente', 'Gerente'),
+  ...transicoesDeAprovacao('diretor', 'Diretor'),
+  solicitar_ajuste: {
+    descricao: 'Ajuste solicitado ao solicitante',
+    de: [STATUS.PENDENTE_GESTOR, STATUS.PENDENTE_GERENTE, STATUS.PENDENTE_DIRETOR, STATUS.AGUARDANDO_APROVACAO],
+    efeito: registrarPedidoDeAjuste,
+    permissao: 'solicitacoes:solicitar_ajuste',
+    condicao: {
+      valida: (solicitacao, usuario) => papeisPendentes(solicitacao).includes(usuario.role),
+      message: 'Solicitação não está pendente da sua aprovação'
+    }
+  },
+  reenviar_ajuste: {
+    descricao: 'Solicitação ajustada e reenviada',
+    de: [STATUS.AJUSTE_SOLICITADO],
+    efeito: retomarAposAjuste,
+    permissao: 'solicitacoes:criar',
+    somenteSolicitante: true
+  },
+  editar_solicitacao: {
+    descricao: 'Solicitação editada pelo solicitante',
+    de: [STATUS.PENDENTE_COTACAO, STATUS.AGUARDANDO_ESCOLHA, ...STATUS_EM_APROVACAO],
+    efeito: reiniciarRoteamento,
+    permissao: 'solicitacoes:criar',
+    somenteSolicitante: true
+  },
+  cancelar: {
+    descricao: 'Solicitação cancelada pelo solicitante',
+    de: [...STATUS_ANTES_DA_COMPRA, STATUS.AJUSTE_SOLICITADO],
+    para: STATUS.CANCELADA,
+    permissao: 'solicitacoes:criar',
+    somenteSolicitante: true
+  },
+  receber_cotacoes: {
+    descricao: 'Cotações adicionadas por Compras',
+    de: [STATUS.PENDENTE_COTACAO],
+    para: STATUS.AGUARDANDO_ESCOLHA,
+    permissao: 'cotacoes:gerenciar',
+    automatica: true
+  },
+  remover_cotacoes: {
+    descricao: 'Todas as cotações foram removidas',
+    de: STATUS_ANTES_DA_COMPRA,
+    para: STATUS.PENDENTE_COTACAO,
+    permissao: 'cotacoes:gerenciar',
+    automatica: true
+  },
+  selecionar_cotacao: {
+    descricao: 'Cotação selecionada pelo solicitante',
+    de: STATUS_ANTES_DA_COMPRA,
+    // Cadeia montada pela política de aprovação com o valor da cotação escolhida
+    efeito: (solicitacao, usuario, opcoes) => iniciarFluxo(solicitacao, opcoes.cadeia, STATUS.PENDENTE_COMPRAS),
+    permissao: 'cotacoes:selecionar',
+    somenteSolicitante: true,
+    condicao: {
+      valida: solicitacao => (solicitacao.cotacoes || []).length > 0,
+      message: 'Nenhuma cotação disponível'
+    }
+  },
+  reaprovar_preco: {
+    descricao: 'Preço confirmado acima da tolerância - nova aprovação necessária',
+    de: [...STATUS_EM_APROVACAO, STATUS.PENDENTE_COMPRAS, STATUS.APROVADO_FINAL],
+    efeito: reiniciarAprovacaoPorPreco,
+    permissao: 'cotacoes:gerenciar',
+    automatica: true
+  },
+  processar_compras: {
+    descricao: 'Marcado como EM_COMPRA por Compras',
+    de: [STATUS.APROVADO_FINAL, STATUS.PENDENTE_COMPRAS],
+    para: STATUS.EM_COMPRA,
+    permissao: 'solicitacoes:processar_compras'
+  },
+  finalizar_compra: {
+    descricao: 'Compra finalizada',
+    de: [STATUS.EM_COMPRA],
+    para: STATUS.COMPRADA,
+    permissao: 'solicitacoes:processar_compras'
+  }
+};
+
+// Converter status antigo (minúsculo ou legado) para o canônico
+function normalizarStatus(status) {
+  if (!status) {
+    return status;
+  }
+
+  const maiusculo = String(status).trim().toUpperCase();
+  return STATUS_LEGADOS[maiusculo] || maiusculo;
+}
+
+// Verificar se o usuário pode executar a transição no status atual
+function verificarTransicao(solicitacao, acao, usuario) {
+  const transicao = TRANSICOES[acao];
+
+  if (!transicao) {
+    return { permitido: false, status: 400, message: `Ação desconhecida: ${acao}` };
+  }
+
+  if (!temPermissao(usuario.role, transicao.permissao)) {
+    return { permitido: false, status: 403, message: 'Acesso negado' };
+  }
+
+  if (transicao.somenteSolicitante && !ehSolicitante(usuario, solicitacao)) {
+    return { permitido: false, status: 403, message: 'Apenas o solicitante pode executar esta ação' };
+  }
+
+  if (!transicao.de.includes(normalizarStatus(solicitacao.status))) {
+    return {
+      permitido: false,
+      status: 400,
+      message: `Ação "${transicao.descricao}" não permitida no status ${normalizarStatus(solicitacao.status)}`
+    };
+  }
+
+  if (transicao.condicao && !transicao.condicao.valida(solicitacao, usuario)) {
+    return { permitido: false, status: 400, message: transicao.condicao.message };
+  }
+
+  return { permitido: true };
+}
+
+// Aplicar transição: altera status, grava registro do aprovador, histórico e timestamps
+// opcoes: { motivo, cadeia, campos, historico: campos extras para a entrada do histórico }
+function aplicarTransicao(solicitacao, acao, usuario, opcoes = {}) {
+  const verificacao = verificarTransicao(solicitacao, acao, usuario);
+  if (!verificacao.permitido) {
+    return { sucesso: false, status: verificacao.status, message: verificacao.message };
+  }
+
+  const transicao = TRANSICOES[acao];
+  const agora = new Date().toISOString();
+  const statusAnterior = normalizarStatus(solicitacao.status);
+  const destino = transicao.efeito ? transicao.efeito(solicitacao, usuario, opcoes) : transicao.para;
+
+  solicitacao.status = destino;
+  solicitacao.statusAtualizadoEm = agora;
+  solicitacao.updatedAt = agora;
+
+  if (transicao.registro) {
+    solicitacao[transicao.registro.campo] = {
+      aprovado: transicao.registro.aprovado,
+      motivo: opcoes.motivo,
+      aprovadorId: usuario.id,
+      aprovadorNome: usuario.name,
+      data: agora
+    };
+  }
+
+  if (!solicitacao.historico) {
+    solicitacao.historico = [];
+  }
+  solicitacao.historico.push({
+    acao: transicao.descricao,
+    motivo: opcoes.motivo,
+    ...opcoes.historico,
+    de: statusAnterior,
+    para: destino,
+    usuario: usuario.name,
+    usuarioId: usuario.id,
+    data: agora
+  });
+
+  return { sucesso: true };
+}
+
+// Ações disponíveis para o usuário no status atual da solicitação
+function transicoesDisponiveis(solicitacao, usuario) {
+  return Object.entries(TRANSICOES)
+    .filter(([acao, transicao]) => !transicao.automatica && verificarTransicao(solicitacao, acao, usuario).permitido)
+    .map(([acao, transicao]) => ({
+      acao,
+      descricao: transicao.descricao,
+      para: transicao.para || null
+    }));
+}
+
+module.exports = {
+  STATUS,
+  TRANSICOES,
+  normalizarStatus,
+  criarFluxo,
+  statusDoFluxo,
+  iniciarFluxo,
+  papeisPendentes,
+  aprovacoesRegistradas,
+  verificarTransicao,
+  aplicarTransicao,
+  transicoesDisponiveis
+};